@@ -0,0 +1,131 @@
+/**
+ * Archive Storage
+ * Server-side recordings of live streams, one directory per user:
+ *
+ *   data/archives/<userId>/<sessionId>.json      sidecar metadata
+ *   data/archives/<userId>/<sessionId>.mkv       recording
+ *   data/archives/<userId>/<sessionId>-part2.mkv written if the archive relay restarted
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '..', 'data', 'archives');
+const ARCHIVE_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Directory holding one user's archives
+ */
+function getUserDir(userId) {
+    return path.join(ARCHIVE_DIR, String(userId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+}
+
+/**
+ * Path of one recording part (0 = the first file)
+ */
+function getPartPath(archive, index) {
+    const suffix = index > 0 ? `-part${index + 1}` : '';
+    return path.join(getUserDir(archive.ownerId), `${archive.id}${suffix}.${archive.format}`);
+}
+
+/**
+ * Write an archive's sidecar JSON
+ */
+function saveArchive(archive) {
+    const dir = getUserDir(archive.ownerId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${archive.id}.json`), JSON.stringify(archive, null, 2));
+}
+
+/**
+ * Create the sidecar for a stream that is about to be recorded
+ */
+function createArchive({ id, ownerId, title, format }) {
+    const archive = {
+        id,
+        ownerId,
+        title: title || `Live stream ${new Date().toLocaleString()}`,
+        format,
+        status: 'recording',
+        startTime: Date.now(),
+        endTime: null,
+        duration: 0,
+        parts: []
+    };
+    saveArchive(archive);
+    return archive;
+}
+
+/**
+ * Read one archive, with the current size of each part
+ */
+function getArchive(userId, id) {
+    if (!ARCHIVE_ID_PATTERN.test(id)) return null;
+
+    const sidecar = path.join(getUserDir(userId), `${id}.json`);
+    if (!fs.existsSync(sidecar)) return null;
+
+    try {
+        const archive = JSON.parse(fs.readFileSync(sidecar, 'utf8'));
+        archive.parts = archive.parts.map((part, index) => {
+            const partPath = getPartPath(archive, index);
+            return {
+                ...part,
+                size: fs.existsSync(partPath) ? fs.statSync(partPath).size : 0
+            };
+        });
+        return archive;
+    } catch (error) {
+        console.error(`❌ Unreadable archive ${sidecar}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * List a user's archives, newest first
+ */
+function listArchives(userId) {
+    const dir = getUserDir(userId);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => getArchive(userId, path.basename(file, '.json')))
+        .filter(Boolean)
+        .sort((a, b) => b.startTime - a.startTime);
+}
+
+/**
+ * Mark archives left in "recording" by a previous run as interrupted
+ * (the files are still playable, they just end abruptly)
+ */
+function markInterrupted() {
+    if (!fs.existsSync(ARCHIVE_DIR)) return;
+
+    fs.readdirSync(ARCHIVE_DIR).forEach(userDir => {
+        const dir = path.join(ARCHIVE_DIR, userDir);
+        if (!fs.statSync(dir).isDirectory()) return;
+
+        fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+            try {
+                const archive = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                if (archive.status === 'recording') {
+                    archive.status = 'interrupted';
+                    saveArchive(archive);
+                }
+            } catch (error) {
+                console.error(`❌ Unreadable archive ${file}:`, error.message);
+            }
+        });
+    });
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    getPartPath,
+    saveArchive,
+    createArchive,
+    getArchive,
+    listArchives,
+    markInterrupted
+};
@@ -0,0 +1,261 @@
+/**
+ * Encoder Capabilities & Profiles
+ * Probes the local FFmpeg build once at startup and defines the named
+ * encoding profiles a stream can pick from
+ */
+
+const { execFile } = require('child_process');
+
+const PROBE_TIMEOUT = 10000;
+
+/**
+ * Named encoding profiles
+ * `encoder` must appear in `ffmpeg -encoders` for the profile to be usable;
+ * `filter` runs after scaling and hands the encoder frames in the format it wants
+ */
+const PROFILES = {
+    'low-cpu': {
+        name: 'Low CPU',
+        description: 'libx264 ultrafast, baseline profile. Works everywhere.',
+        encoder: 'libx264',
+        hardware: false,
+        filter: 'format=yuv420p',
+        videoArgs: (bitrate) => [
+            '-c:v', 'libx264',
+            '-preset', 'ultrafast',  // Fastest preset for lowest CPU
+            '-tune', 'zerolatency',  // Optimized for streaming
+            '-profile:v', 'baseline', // Simpler profile = less CPU
+            '-level', '3.1',
+            '-b:v', `${bitrate}k`,
+            '-maxrate', `${bitrate}k`,
+            '-bufsize', `${Math.floor(bitrate / 2)}k`,  // Smaller buffer
+            '-threads', '4',  // Limit encoder threads
+            '-x264-params', 'nal-hrd=cbr:force-cfr=1',  // Constant bitrate
+            '-pix_fmt', 'yuv420p'
+        ]
+    },
+    balanced: {
+        name: 'Balanced',
+        description: 'libx264 veryfast, main profile. Better detail for a bit more CPU.',
+        encoder: 'libx264',
+        hardware: false,
+        filter: 'format=yuv420p',
+        videoArgs: (bitrate) => [
+            '-c:v', 'libx264',
+            '-preset', 'veryfast',
+            '-tune', 'zerolatency',
+            '-profile:v', 'main',
+            '-b:v', `${bitrate}k`,
+            '-maxrate', `${bitrate}k`,
+            '-bufsize', `${bitrate}k`,
+            '-x264-params', 'nal-hrd=cbr:force-cfr=1',
+            '-pix_fmt', 'yuv420p'
+        ]
+    },
+    quality: {
+        name: 'Quality',
+        description: 'libx264 fast, high profile. Sharp text and slides; needs a strong CPU.',
+        encoder: 'libx264',
+        hardware: false,
+        filter: 'format=yuv420p',
+        videoArgs: (bitrate) => [
+            '-c:v', 'libx264',
+            '-preset', 'fast',
+            '-tune', 'zerolatency',
+            '-profile:v', 'high',
+            '-b:v', `${bitrate}k`,
+            '-maxrate', `${bitrate}k`,
+            '-bufsize', `${bitrate * 2}k`,
+            '-x264-params', 'nal-hrd=cbr:force-cfr=1',
+            '-pix_fmt', 'yuv420p'
+        ]
+    },
+    hevc: {
+        name: 'HEVC (H.265)',
+        description: 'libx265 ultrafast. Best for SRT and HLS; RTMP needs an enhanced-RTMP ingest.',
+        encoder: 'libx265',
+        hardware: false,
+        filter: 'format=yuv420p',
+        videoArgs: (bitrate) => [
+            '-c:v', 'libx265',
+            '-preset', 'ultrafast',
+            '-tune', 'zerolatency',
+            '-b:v', `${bitrate}k`,
+            '-maxrate', `${bitrate}k`,
+            '-bufsize', `${bitrate}k`,
+            '-x265-params', 'log-level=error:repeat-headers=1',
+            '-pix_fmt', 'yuv420p'
+        ]
+    },
+    nvenc: {
+        name: 'NVIDIA NVENC',
+        description: 'h264_nvenc on the first GPU.',
+        encoder: 'h264_nvenc',
+        hardware: true,
+        filter: 'format=yuv420p',
+        videoArgs: (bitrate) => [
+            '-c:v', 'h264_nvenc',
+            '-preset', 'p4',  // Balanced preset for NVENC
+            '-tune', 'll',   // Low latency tuning
+            '-b:v', `${bitrate}k`,
+            '-maxrate', `${bitrate}k`,
+            '-bufsize', `${Math.floor(bitrate / 2)}k`,  // Smaller buffer for low latency
+            '-rc', 'cbr',    // Constant bitrate for streaming
+            '-gpu', '0',     // Use first GPU
+            '-pix_fmt', 'yuv420p'
+        ]
+    },
+    vaapi: {
+        name: 'Intel/AMD VAAPI',
+        description: 'h264_vaapi via /dev/dri (Linux).',
+        encoder: 'h264_vaapi',
+        hardware: true,
+        inputArgs: ['-vaapi_device', process.env.VAAPI_DEVICE || '/dev/dri/renderD128'],
+        filter: 'format=nv12,hwupload',
+        videoArgs: (bitrate) => [
+            '-c:v', 'h264_vaapi',
+            '-b:v', `${bitrate}k`,
+            '-maxrate', `${bitrate}k`,
+            '-bufsize', `${Math.floor(bitrate / 2)}k`,
+            '-rc_mode', 'CBR'
+        ]
+    },
+    qsv: {
+        name: 'Intel Quick Sync',
+        description: 'h264_qsv on an Intel iGPU.',
+        encoder: 'h264_qsv',
+        hardware: true,
+        filter: 'format=nv12',
+        videoArgs: (bitrate) => [
+            '-c:v', 'h264_qsv',
+            '-preset', 'veryfast',
+            '-look_ahead', '0',
+            '-b:v', `${bitrate}k`,
+            '-maxrate', `${bitrate}k`,
+            '-bufsize', `${Math.floor(bitrate / 2)}k`,
+            '-pix_fmt', 'nv12'
+        ]
+    }
+};
+
+// Always tried last: if this is missing too, FFmpeg cannot stream at all
+const FALLBACK_PROFILE = 'low-cpu';
+
+// Keep honouring the old switch when no profile is configured
+const DEFAULT_PROFILE = process.env.STREAM_ENCODER_PROFILE
+    || (process.env.USE_HARDWARE_ENCODING === 'true' ? 'nvenc' : FALLBACK_PROFILE);
+
+// Result of the startup probe (null until it has run)
+let capabilities = null;
+
+/**
+ * Run FFmpeg with some arguments and return its stdout
+ */
+function runFFmpeg(args) {
+    return new Promise((resolve, reject) => {
+        execFile('ffmpeg', ['-hide_banner', ...args], { timeout: PROBE_TIMEOUT, maxBuffer: 4 * 1024 * 1024 },
+            (error, stdout) => error ? reject(error) : resolve(stdout));
+    });
+}
+
+/**
+ * Parse `ffmpeg -encoders` / `ffmpeg -filters` listings into names
+ * (lines look like " V....D libx264   libx264 H.264 / AVC ...")
+ */
+function parseListing(output, pattern) {
+    const names = [];
+    output.split('\n').forEach(line => {
+        const match = line.match(pattern);
+        if (match) names.push(match[1]);
+    });
+    return names;
+}
+
+/**
+ * Probe the local FFmpeg build: version, encoders and filters
+ */
+async function probe() {
+    try {
+        const [version, encoders, filters] = await Promise.all([
+            runFFmpeg(['-version']),
+            runFFmpeg(['-encoders']),
+            runFFmpeg(['-filters'])
+        ]);
+
+        capabilities = {
+            available: true,
+            version: (version.match(/ffmpeg version (\S+)/) || [])[1] || 'unknown',
+            encoders: parseListing(encoders, /^\s*[VAS][A-Z.]{5}\s+(\S+)\s/).filter(name => name !== '='),
+            filters: parseListing(filters, /^\s*[TSC.]{2,3}\s+(\S+)\s+\S+->\S+/)
+        };
+
+        const usable = Object.keys(PROFILES).filter(isProfileAvailable);
+        console.log(`🎞️ FFmpeg ${capabilities.version}: ${capabilities.encoders.length} encoders, profiles: ${usable.join(', ')}`);
+    } catch (error) {
+        capabilities = { available: false, version: null, encoders: [], filters: [], error: error.message };
+        console.log('⚠️  Warning: FFmpeg not found or not runnable:', error.message);
+    }
+
+    return capabilities;
+}
+
+/**
+ * Whether the local FFmpeg has an encoder
+ * Before the probe has finished every encoder is assumed to exist
+ */
+function hasEncoder(name) {
+    if (!capabilities || !capabilities.available) return true;
+    return capabilities.encoders.includes(name);
+}
+
+/**
+ * Whether the local FFmpeg can run a profile
+ * Before the probe has finished every profile is assumed to work
+ */
+function isProfileAvailable(id) {
+    // The ID comes from the client: "constructor" and friends are not profiles
+    if (typeof id !== 'string' || !Object.prototype.hasOwnProperty.call(PROFILES, id)) return false;
+    return hasEncoder(PROFILES[id].encoder);
+}
+
+/**
+ * Pick the profile to use for a stream, falling back to libx264
+ * Returns { id, profile, fallbackFrom }
+ */
+function resolveProfile(requested) {
+    const id = typeof requested === 'string' && requested ? requested : DEFAULT_PROFILE;
+
+    if (isProfileAvailable(id)) {
+        return { id, profile: PROFILES[id], fallbackFrom: null };
+    }
+
+    console.log(`⚠️ Encoder profile "${id}" is not available, falling back to ${FALLBACK_PROFILE}`);
+    return { id: FALLBACK_PROFILE, profile: PROFILES[FALLBACK_PROFILE], fallbackFrom: id };
+}
+
+/**
+ * Capabilities and profile list for /api/encoders
+ */
+function getCapabilities() {
+    return {
+        ffmpeg: capabilities,
+        defaultProfile: resolveProfile(DEFAULT_PROFILE).id,
+        profiles: Object.entries(PROFILES).map(([id, profile]) => ({
+            id,
+            name: profile.name,
+            description: profile.description,
+            encoder: profile.encoder,
+            hardware: profile.hardware,
+            available: isProfileAvailable(id)
+        }))
+    };
+}
+
+module.exports = {
+    PROFILES,
+    FALLBACK_PROFILE,
+    probe,
+    hasEncoder,
+    resolveProfile,
+    getCapabilities
+};
@@ -0,0 +1,186 @@
+/**
+ * Export Format Registry
+ * Every format /api/convert can produce. The formats list and the converter
+ * both read from here, so what is advertised is exactly what is implemented.
+ */
+
+const encoders = require('./encoders');
+
+/**
+ * `videoCodec` may list several encoders, the first one the local FFmpeg has wins.
+ * Audio-only formats set `videoCodec: null` and drop the video stream.
+ */
+const FORMATS = {
+    mp4: {
+        name: 'MP4 (H.264)',
+        kind: 'video',
+        extension: 'mp4',
+        mimeType: 'video/mp4',
+        recommended: true,
+        videoCodec: ['libx264'],
+        audioCodec: 'aac',
+        outputOptions: ['-preset fast', '-crf 22', '-movflags +faststart']
+    },
+    mov: {
+        name: 'MOV (QuickTime)',
+        kind: 'video',
+        extension: 'mov',
+        mimeType: 'video/quicktime',
+        videoCodec: ['libx264'],
+        audioCodec: 'aac',
+        container: 'mov',
+        outputOptions: ['-preset fast', '-crf 22']
+    },
+    webm: {
+        name: 'WebM (VP9)',
+        kind: 'video',
+        extension: 'webm',
+        mimeType: 'video/webm',
+        videoCodec: ['libvpx-vp9'],
+        audioCodec: 'libopus',
+        container: 'webm',
+        // Constant quality; row-mt and cpu-used keep VP9 from taking all day
+        outputOptions: ['-crf 32', '-b:v 0', '-row-mt 1', '-deadline good', '-cpu-used 4']
+    },
+    av1: {
+        name: 'MP4 (AV1)',
+        kind: 'video',
+        extension: 'mp4',
+        mimeType: 'video/mp4',
+        videoCodec: ['libsvtav1', 'libaom-av1'],
+        audioCodec: 'aac',
+        container: 'mp4',
+        outputOptions: ['-crf 35', '-b:v 0', '-movflags +faststart'],
+        // Encoder-specific speed settings
+        codecOptions: {
+            libsvtav1: ['-preset 8'],
+            'libaom-av1': ['-cpu-used 6', '-row-mt 1']
+        }
+    },
+    avi: {
+        name: 'AVI',
+        kind: 'video',
+        extension: 'avi',
+        mimeType: 'video/x-msvideo',
+        videoCodec: ['libxvid'],
+        audioCodec: 'libmp3lame',
+        container: 'avi'
+    },
+    mp3: {
+        name: 'MP3 (audio only)',
+        kind: 'audio',
+        extension: 'mp3',
+        mimeType: 'audio/mpeg',
+        videoCodec: null,
+        audioCodec: 'libmp3lame',
+        container: 'mp3',
+        outputOptions: ['-q:a 2']
+    },
+    m4a: {
+        name: 'M4A (AAC audio only)',
+        kind: 'audio',
+        extension: 'm4a',
+        mimeType: 'audio/mp4',
+        videoCodec: null,
+        audioCodec: 'aac',
+        container: 'ipod',
+        outputOptions: ['-b:a 160k', '-movflags +faststart']
+    },
+    opus: {
+        name: 'Opus (audio only)',
+        kind: 'audio',
+        extension: 'opus',
+        mimeType: 'audio/ogg',
+        videoCodec: null,
+        audioCodec: 'libopus',
+        container: 'ogg',
+        outputOptions: ['-b:a 96k']
+    },
+    wav: {
+        name: 'WAV (uncompressed audio)',
+        kind: 'audio',
+        extension: 'wav',
+        mimeType: 'audio/wav',
+        videoCodec: null,
+        audioCodec: 'pcm_s16le',
+        container: 'wav'
+    }
+};
+
+/**
+ * Pick the video encoder for a format (null for audio-only or when none is available)
+ */
+function getVideoEncoder(format) {
+    if (!format.videoCodec) return null;
+    return format.videoCodec.find(name => encoders.hasEncoder(name)) || null;
+}
+
+/**
+ * Whether the local FFmpeg can produce a format
+ */
+function isAvailable(format) {
+    const videoOk = !format.videoCodec || getVideoEncoder(format) !== null;
+    return videoOk && encoders.hasEncoder(format.audioCodec);
+}
+
+/**
+ * Look up a format by ID
+ */
+function getFormat(id) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, id) ? { id, ...FORMATS[id] } : null;
+}
+
+/**
+ * Apply a format's codecs and options to a fluent-ffmpeg command
+ */
+function applyFormat(command, format) {
+    const videoEncoder = getVideoEncoder(format);
+
+    if (format.videoCodec) {
+        command.videoCodec(videoEncoder);
+    } else {
+        command.noVideo();
+    }
+
+    command.audioCodec(format.audioCodec);
+
+    if (format.container) {
+        command.format(format.container);
+    }
+
+    const options = [
+        ...(format.outputOptions || []),
+        ...((format.codecOptions && format.codecOptions[videoEncoder]) || [])
+    ];
+    if (options.length > 0) {
+        command.outputOptions(options);
+    }
+
+    return command;
+}
+
+/**
+ * Public format list for GET /api/convert/formats
+ */
+function listFormats() {
+    return Object.keys(FORMATS).map(id => {
+        const format = FORMATS[id];
+        return {
+            id,
+            name: format.name,
+            kind: format.kind,
+            extension: `.${format.extension}`,
+            mimeType: format.mimeType,
+            recommended: !!format.recommended,
+            available: isAvailable(format)
+        };
+    });
+}
+
+module.exports = {
+    FORMATS,
+    getFormat,
+    isAvailable,
+    applyFormat,
+    listFormats
+};
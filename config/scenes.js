@@ -0,0 +1,239 @@
+/**
+ * Scene Storage
+ * Each user's compositor scenes (named layer lists, see public/js/scene-manager.js),
+ * one JSON file per user:
+ *
+ *   data/scenes/<userId>.json    { scenes: [...], activeSceneId, transition }
+ *
+ * Scenes come from the browser, so everything is checked against the layer
+ * fields below before it is written; layers that can't be drawn are dropped.
+ * Image layers carry their picture as a data URL, which is why /api/scenes
+ * accepts larger bodies (see server.js).
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const SCENES_DIR = process.env.SCENES_DIR || path.join(__dirname, '..', 'data', 'scenes');
+
+const MAX_SCENES = 24;
+const MAX_LAYERS = 24;
+const MAX_TEXT = 200;
+const MAX_IMAGE = 1.5 * 1024 * 1024; // Data URL length, about 1 MB of image
+
+const TRANSITION_TYPES = ['cut', 'crossfade', 'slide', 'zoom'];
+const MAX_TRANSITION = 5000; // ms
+
+const FONTS = ['sans', 'serif', 'mono', 'display'];
+const LAYOUTS = [
+    'corner-top-left', 'corner-top-right', 'corner-bottom-left', 'corner-bottom-right',
+    'side-by-side', 'camera-pip', 'stacked'
+];
+
+const COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+const ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const IMAGE_PATTERN = /^data:image\/(png|jpeg|gif|webp|svg\+xml);base64,[A-Za-z0-9+/]+=*$/;
+
+// Allowed fields per layer type: 'number', 'boolean', 'string', 'color', 'image' or a list of values
+const COMMON_FIELDS = {
+    name: 'string',
+    x: 'number',
+    y: 'number',
+    width: 'number',
+    height: 'number',
+    visible: 'boolean'
+};
+
+// Styling shared by text and timer layers
+const TEXT_STYLE = {
+    color: 'color',
+    fontSize: 'number',
+    font: FONTS,
+    bold: 'boolean',
+    background: 'color',
+    align: ['left', 'center', 'right']
+};
+
+const LAYER_FIELDS = {
+    screen: {
+        fit: ['contain', 'cover'],
+        expandWhenAlone: 'boolean',
+        borderRadius: 'number',
+        borderWidth: 'number',
+        borderColor: 'color'
+    },
+    webcam: {
+        fit: ['contain', 'cover'],
+        mirror: 'boolean',
+        overlay: 'boolean',
+        expandWhenAlone: 'boolean',
+        borderRadius: 'number',
+        borderWidth: 'number',
+        borderColor: 'color'
+    },
+    color: {
+        color: 'color'
+    },
+    text: {
+        text: 'string',
+        ...TEXT_STYLE
+    },
+    'lower-third': {
+        title: 'string',
+        subtitle: 'string',
+        template: ['classic', 'modern', 'minimal'],
+        animation: ['slide', 'wipe', 'fade'],
+        hideAfter: 'number',
+        font: FONTS,
+        color: 'color',
+        accentColor: 'color',
+        background: 'color'
+    },
+    image: {
+        src: 'image',
+        aspect: 'number',
+        scale: 'number',
+        opacity: 'number',
+        anchor: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center', 'free']
+    },
+    timer: {
+        mode: ['clock', 'elapsed', 'countdown'],
+        duration: 'number',
+        label: 'string',
+        endText: 'string',
+        ...TEXT_STYLE
+    }
+};
+
+/**
+ * File holding one user's scenes
+ */
+function getUserFile(userId) {
+    return path.join(SCENES_DIR, `${String(userId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+}
+
+/**
+ * Copy the fields a spec allows, dropping anything of the wrong type
+ */
+function pickFields(source, spec, target = {}) {
+    Object.entries(spec).forEach(([field, type]) => {
+        const value = source[field];
+        if (value === undefined) return;
+
+        if (Array.isArray(type)) {
+            if (type.includes(value)) target[field] = value;
+        } else if (type === 'number') {
+            if (typeof value === 'number' && Number.isFinite(value)) target[field] = value;
+        } else if (type === 'boolean') {
+            target[field] = value === true;
+        } else if (type === 'color') {
+            if (typeof value === 'string' && COLOR_PATTERN.test(value)) target[field] = value;
+        } else if (type === 'string') {
+            target[field] = String(value).slice(0, MAX_TEXT);
+        } else if (type === 'image') {
+            if (typeof value === 'string' && value.length <= MAX_IMAGE && IMAGE_PATTERN.test(value)) target[field] = value;
+        }
+    });
+    return target;
+}
+
+/**
+ * Validate one layer; null for anything that can't be drawn
+ */
+function sanitizeLayer(layer) {
+    if (!layer || typeof layer.type !== 'string' || !Object.prototype.hasOwnProperty.call(LAYER_FIELDS, layer.type)) {
+        return null;
+    }
+    if (!ID_PATTERN.test(layer.id || '')) {
+        return null;
+    }
+
+    const clean = { id: layer.id, type: layer.type };
+    pickFields(layer, COMMON_FIELDS, clean);
+    pickFields(layer, LAYER_FIELDS[layer.type], clean);
+
+    // Needs a PNG, JPEG, GIF, WebP or SVG image under 1 MB
+    if (clean.type === 'image' && !clean.src) {
+        return null;
+    }
+    return clean;
+}
+
+/**
+ * Validate a user's scene list, as sent by the studio
+ * `droppedLayers` counts the layers that were left out
+ */
+function sanitizeScenes(body) {
+    const scenes = body && Array.isArray(body.scenes) ? body.scenes : null;
+    if (!scenes || scenes.length === 0) {
+        throw new Error('At least one scene is required');
+    }
+    if (scenes.length > MAX_SCENES) {
+        throw new Error(`No more than ${MAX_SCENES} scenes`);
+    }
+
+    let droppedLayers = 0;
+    const cleanScenes = scenes.map((scene, index) => {
+        if (!scene || !ID_PATTERN.test(scene.id || '')) {
+            throw new Error(`Scene ${index} needs an id`);
+        }
+        const layers = Array.isArray(scene.layers) ? scene.layers : [];
+        if (layers.length > MAX_LAYERS) {
+            throw new Error(`Scene "${scene.name}" has more than ${MAX_LAYERS} layers`);
+        }
+
+        const cleanLayers = layers.map(sanitizeLayer).filter(Boolean);
+        droppedLayers += layers.length - cleanLayers.length;
+
+        return {
+            id: scene.id,
+            name: String(scene.name || `Scene ${index + 1}`).slice(0, 64),
+            ...(COLOR_PATTERN.test(scene.background || '') ? { background: scene.background } : {}),
+            ...(LAYOUTS.includes(scene.layout) ? { layout: scene.layout } : {}),
+            layers: cleanLayers
+        };
+    });
+
+    const activeSceneId = cleanScenes.some(scene => scene.id === body.activeSceneId)
+        ? body.activeSceneId
+        : cleanScenes[0].id;
+
+    // Transition used when switching scenes
+    const transition = body.transition && TRANSITION_TYPES.includes(body.transition.type)
+        ? {
+            type: body.transition.type,
+            duration: Math.max(0, Math.min(MAX_TRANSITION, Number(body.transition.duration) || 0))
+        }
+        : null;
+
+    return { scenes: cleanScenes, activeSceneId, transition, droppedLayers };
+}
+
+/**
+ * Read a user's scenes (null when they never saved any)
+ */
+function getScenes(userId) {
+    const file = getUserFile(userId);
+    if (!fs.existsSync(file)) return null;
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Unreadable scenes file ${file}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Replace a user's scenes
+ */
+function saveScenes(userId, data) {
+    fs.mkdirSync(SCENES_DIR, { recursive: true });
+    fs.writeFileSync(getUserFile(userId), JSON.stringify({ ...data, updatedAt: Date.now() }, null, 2));
+}
+
+module.exports = {
+    sanitizeScenes,
+    getScenes,
+    saveScenes
+};
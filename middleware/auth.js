@@ -9,7 +9,7 @@ function isAuthenticated(req, res, next) {
     }
 
     // For API routes, return 401
-    if (req.path.startsWith('/api/')) {
+    if (req.originalUrl.startsWith('/api/')) {
         return res.status(401).json({
             error: 'Unauthorized',
             message: 'Please log in to access this resource'
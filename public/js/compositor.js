@@ -1,8 +1,33 @@
 /**
  * Video Compositor
- * Combines screen capture and webcam into a single canvas output
+ * Combines screen capture and webcam into a single canvas output,
+ * arranged by the active scene's layers
  */
 
+// Font choices for text layers
+const LAYER_FONTS = {
+    sans: 'Inter, sans-serif',
+    serif: 'Georgia, "Times New Roman", serif',
+    mono: '"Courier New", monospace',
+    display: '"Arial Black", Impact, sans-serif'
+};
+
+// Layers that can be dragged on the preview (see WebcamController)
+const MOVABLE_LAYER_TYPES = ['text', 'lower-third', 'timer', 'image'];
+
+const LOWER_THIRD_ANIMATION = 600; // ms
+
+// Layout presets for a scene's screen and webcam layers (see setLayout)
+const LAYOUTS = [
+    { id: 'corner-top-left', name: 'Webcam top left' },
+    { id: 'corner-top-right', name: 'Webcam top right' },
+    { id: 'corner-bottom-left', name: 'Webcam bottom left' },
+    { id: 'corner-bottom-right', name: 'Webcam bottom right' },
+    { id: 'side-by-side', name: 'Side by side (70/30)' },
+    { id: 'camera-pip', name: 'Camera with screen inset' },
+    { id: 'stacked', name: 'Stacked (vertical)' }
+];
+
 class VideoCompositor {
     constructor() {
         // Canvas and context
@@ -30,6 +55,19 @@ class VideoCompositor {
             borderColor: '#6366f1'
         };
 
+        // Active scene: layers drawn bottom to top (see getDefaultScenes and SceneManager)
+        this.scene = VideoCompositor.getDefaultScenes()[0];
+        this.overlayVisible = false; // Whether the draggable webcam overlay was drawn last frame
+
+        // Scene transitions, rendered in the frame loop so the stream and recordings get them too
+        this.transition = { type: 'cut', duration: 500 }; // See setTransition
+        this.activeTransition = null; // { from, fromOverlay, type, duration, start }
+
+        // Overlay layer state that isn't saved with the scene
+        this.layerShownAt = new Map(); // Layer ID -> when it appeared (lower-third animations)
+        this.timerStarts = new Map();  // Layer ID -> when the elapsed/countdown timer started
+        this.images = new Map();       // Layer ID -> { src, image, ready } decoded image layers
+
         // State
         this.isRunning = false;
         this.animationFrameId = null;
@@ -57,8 +95,10 @@ class VideoCompositor {
         this.canvas.width = this.width;
         this.canvas.height = this.height;
 
-        // Calculate webcam position (bottom-right)
-        this._updateWebcamPosition();
+        // Webcam position from the scene, or bottom-right
+        if (!this._applyOverlayLayer()) {
+            this._updateWebcamPosition();
+        }
 
         console.log('🎨 VideoCompositor initialized', `${this.width}x${this.height}`);
         return this;
@@ -68,13 +108,22 @@ class VideoCompositor {
      * Set output resolution
      */
     setResolution(width, height) {
+        // Keep the overlay where it is relative to the canvas
+        this.syncOverlayLayer();
         this.width = width;
         this.height = height;
 
         if (this.canvas) {
             this.canvas.width = width;
             this.canvas.height = height;
-            this._updateWebcamPosition();
+
+            // Layout presets are recomputed for the new shape
+            if (this._isLayout(this.scene.layout)) {
+                this._arrangeLayout(this.scene, this.scene.layout);
+            }
+            if (!this._applyOverlayLayer()) {
+                this._updateWebcamPosition();
+            }
         }
 
         console.log('📐 Resolution set to', `${width}x${height}`);
@@ -94,6 +143,13 @@ class VideoCompositor {
             case '1440p':
                 this.setResolution(2560, 1440);
                 break;
+            // Vertical (9:16), e.g. for shorts
+            case '720p-vertical':
+                this.setResolution(720, 1280);
+                break;
+            case '1080p-vertical':
+                this.setResolution(1080, 1920);
+                break;
             default:
                 this.setResolution(1920, 1080);
         }
@@ -122,47 +178,340 @@ class VideoCompositor {
     }
 
     /**
-     * Update webcam overlay position
+     * Built-in scenes; layer rects are fractions of the canvas
+     * A webcam layer marked `overlay` is drawn at webcamPosition instead, so it
+     * can be dragged and resized (see WebcamController)
      */
-    _updateWebcamPosition() {
-        const margin = this.webcamPosition.margin;
-        this.webcamPosition.x = this.width - this.webcamPosition.width - margin;
-        this.webcamPosition.y = this.height - this.webcamPosition.height - margin;
+    static getDefaultScenes() {
+        const full = { x: 0, y: 0, width: 1, height: 1 };
+        const webcam = { id: 'webcam', type: 'webcam', mirror: true };
+
+        return [
+            {
+                id: 'slides-cam',
+                name: 'Slides + cam',
+                layout: 'corner-bottom-right',
+                layers: [
+                    { id: 'screen', type: 'screen', ...full, fit: 'contain' },
+                    {
+                        ...webcam,
+                        x: 1580 / 1920,
+                        y: 880 / 1080,
+                        width: 320 / 1920,
+                        height: 180 / 1080,
+                        fit: 'cover',
+                        overlay: true,
+                        expandWhenAlone: true,
+                        borderRadius: 12,
+                        borderWidth: 3,
+                        borderColor: '#6366f1'
+                    }
+                ]
+            },
+            {
+                id: 'cam-only',
+                name: 'Cam only',
+                layers: [{ ...webcam, ...full, fit: 'contain' }]
+            },
+            {
+                id: 'screen-only',
+                name: 'Screen only',
+                layers: [{ id: 'screen', type: 'screen', ...full, fit: 'contain' }]
+            },
+            {
+                id: 'brb',
+                name: 'Be right back',
+                background: '#111827',
+                layers: [
+                    { id: 'title', type: 'text', x: 0, y: 0.38, width: 1, height: 0.14, text: 'Be right back', color: '#ffffff', fontSize: 0.09 },
+                    { id: 'subtitle', type: 'text', x: 0, y: 0.52, width: 1, height: 0.08, text: 'The lecture continues shortly', color: '#9ca3af', fontSize: 0.04, bold: false }
+                ]
+            }
+        ];
     }
 
     /**
-     * Set webcam overlay position
+     * Switch scenes with the given (or the default) transition
      */
-    setWebcamPosition(position) {
+    setScene(scene, transition = this.transition) {
+        // Remember where the overlay was in the outgoing scene
+        this.syncOverlayLayer();
+        this._beginTransition(transition);
+        this.scene = scene;
+
+        // Side-by-side, stacked, ... fit the current resolution (corners keep where they were)
+        if (this._isLayout(scene.layout) && !scene.layout.startsWith('corner-')) {
+            this._arrangeLayout(scene, scene.layout);
+        }
+        this._applyOverlayLayer();
+
+        // Lower thirds animate in again
+        scene.layers.forEach(layer => this.layerShownAt.delete(layer.id));
+
+        console.log('🎬 Scene:', scene.name, transition.type !== 'cut' ? `(${transition.type})` : '');
+    }
+
+    /**
+     * Set the default transition: cut, crossfade, slide or zoom, lasting `duration` ms
+     */
+    setTransition(type, duration = this.transition.duration) {
+        if (!['cut', 'crossfade', 'slide', 'zoom'].includes(type)) {
+            return false;
+        }
+
+        this.transition = { type, duration: Math.max(0, Math.min(5000, Number(duration) || 0)) };
+        return true;
+    }
+
+    /**
+     * Layout presets, see setLayout
+     */
+    static getLayouts() {
+        return LAYOUTS.map(layout => ({ ...layout }));
+    }
+
+    /**
+     * Rearrange the active scene's screen and webcam with a layout preset,
+     * computed from the current resolution, using the given (or the default) transition
+     */
+    setLayout(layout, transition = this.transition) {
+        if (!this._isLayout(layout)) {
+            return false;
+        }
+
+        // The transition draws the scene as it was
+        this.syncOverlayLayer();
+        this._beginTransition(transition, JSON.parse(JSON.stringify(this.scene)));
+
+        this._arrangeLayout(this.scene, layout);
+        this._applyOverlayLayer();
+
+        console.log('🧩 Layout:', layout);
+        return true;
+    }
+
+    /**
+     * Whether a layout ID is one of the presets
+     */
+    _isLayout(layout) {
+        return LAYOUTS.some(preset => preset.id === layout);
+    }
+
+    /**
+     * Position a scene's screen and webcam layers for a layout (adding them
+     * if the scene has none), leaving its other layers alone
+     */
+    _arrangeLayout(scene, layout) {
+        const width = this.width;
+        const height = this.height;
         const margin = this.webcamPosition.margin;
+        const landscape = width >= height;
 
-        switch (position) {
-            case 'top-left':
-                this.webcamPosition.x = margin;
-                this.webcamPosition.y = margin;
-                break;
-            case 'top-right':
-                this.webcamPosition.x = this.width - this.webcamPosition.width - margin;
-                this.webcamPosition.y = margin;
+        let screen = scene.layers.find(layer => layer.type === 'screen');
+        let webcam = scene.layers.find(layer => layer.type === 'webcam');
+        if (!screen) {
+            screen = { id: 'screen', type: 'screen' };
+            scene.layers.unshift(screen);
+        }
+        if (!webcam) {
+            webcam = { id: 'webcam', type: 'webcam', mirror: true };
+            scene.layers.push(webcam);
+        }
+
+        // Either one fills the canvas while the other source is off
+        const plain = { visible: true, overlay: false, expandWhenAlone: true, borderRadius: 0, borderWidth: 0 };
+        const framed = { borderRadius: 12, borderWidth: 3, borderColor: '#6366f1' };
+        Object.assign(screen, plain, { fit: 'contain' });
+        Object.assign(webcam, plain, { fit: 'cover' });
+
+        const full = { x: 0, y: 0, width, height };
+        let screenRect = full;
+        let webcamRect = full;
+        let screenOnTop = false;
+
+        switch (layout) {
+            case 'side-by-side': {
+                // Screen 70%, camera 30% of the long side; the camera column is 3:4 at most
+                if (landscape) {
+                    const columnWidth = width * 0.3;
+                    const columnHeight = Math.min(height, columnWidth * 4 / 3);
+                    screenRect = { x: 0, y: 0, width: width - columnWidth, height };
+                    webcamRect = { x: width - columnWidth, y: (height - columnHeight) / 2, width: columnWidth, height: columnHeight };
+                } else {
+                    screenRect = { x: 0, y: 0, width, height: height * 0.7 };
+                    webcamRect = { x: 0, y: height * 0.7, width, height: height * 0.3 };
+                }
                 break;
-            case 'bottom-left':
-                this.webcamPosition.x = margin;
-                this.webcamPosition.y = this.height - this.webcamPosition.height - margin;
+            }
+
+            case 'camera-pip': {
+                // Camera fills the canvas, the screen is a 16:9 inset in the bottom right
+                const insetWidth = width * (landscape ? 0.3 : 0.5);
+                const insetHeight = insetWidth * 9 / 16;
+                screenRect = { x: width - insetWidth - margin, y: height - insetHeight - margin, width: insetWidth, height: insetHeight };
+                Object.assign(screen, framed);
+                screenOnTop = true;
                 break;
-            case 'bottom-right':
-            default:
-                this._updateWebcamPosition();
+            }
+
+            case 'stacked': {
+                // Screen across the top at 16:9 (at most half the height), camera below
+                const screenHeight = Math.min(height / 2, width * 9 / 16);
+                screenRect = { x: 0, y: 0, width, height: screenHeight };
+                webcamRect = { x: 0, y: screenHeight, width, height: height - screenHeight };
                 break;
+            }
+
+            default: {
+                // corner-*: the draggable webcam overlay, at its current size
+                const corner = layout.slice('corner-'.length);
+                const overlayWidth = Math.min(this.webcamPosition.width, width - margin * 2);
+                const overlayHeight = Math.min(this.webcamPosition.height, height - margin * 2);
+                webcamRect = {
+                    x: corner.endsWith('left') ? margin : width - overlayWidth - margin,
+                    y: corner.startsWith('top') ? margin : height - overlayHeight - margin,
+                    width: overlayWidth,
+                    height: overlayHeight
+                };
+                Object.assign(webcam, framed, { overlay: true });
+            }
+        }
+
+        // Rects are stored as fractions of the canvas
+        [[screen, screenRect], [webcam, webcamRect]].forEach(([layer, rect]) => {
+            layer.x = rect.x / width;
+            layer.y = rect.y / height;
+            layer.width = rect.width / width;
+            layer.height = rect.height / height;
+        });
+
+        // Swap the two into stacking order, in the slots they already had
+        const screenIndex = scene.layers.indexOf(screen);
+        const webcamIndex = scene.layers.indexOf(webcam);
+        if ((screenIndex > webcamIndex) !== screenOnTop) {
+            scene.layers[screenIndex] = webcam;
+            scene.layers[webcamIndex] = screen;
+        }
+
+        scene.layout = layout;
+    }
+
+    /**
+     * Keep the outgoing scene around until the transition has played
+     * Call before changing what's on screen
+     */
+    _beginTransition(transition, from = this.scene) {
+        if (!this.isRunning || transition.type === 'cut' || !(transition.duration > 0)) {
+            this.activeTransition = null;
+            return;
         }
+
+        this.activeTransition = {
+            from,
+            fromOverlay: { ...this.webcamPosition },
+            type: transition.type,
+            duration: transition.duration,
+            start: performance.now()
+        };
+    }
+
+    /**
+     * The scene's draggable webcam layer, if it has one
+     */
+    _getOverlayLayer() {
+        return this.scene.layers.find(layer => layer.type === 'webcam' && layer.overlay) || null;
+    }
+
+    /**
+     * Position the webcam overlay from the scene's overlay layer
+     */
+    _applyOverlayLayer() {
+        const layer = this._getOverlayLayer();
+        if (!layer) return false;
+
+        const pos = this.webcamPosition;
+        pos.x = layer.x * this.width;
+        pos.y = layer.y * this.height;
+        pos.width = layer.width * this.width;
+        pos.height = layer.height * this.height;
+        return true;
+    }
+
+    /**
+     * Write the overlay's current position back into the scene (after dragging)
+     */
+    syncOverlayLayer() {
+        const layer = this._getOverlayLayer();
+        if (!layer) return;
+
+        const pos = this.webcamPosition;
+        layer.x = pos.x / this.width;
+        layer.y = pos.y / this.height;
+        layer.width = pos.width / this.width;
+        layer.height = pos.height / this.height;
+    }
+
+    /**
+     * Whether the draggable webcam overlay is on screen
+     */
+    isOverlayVisible() {
+        return this.overlayVisible;
+    }
+
+    /**
+     * Topmost movable layer (text, lower third, timer, image) at a canvas point,
+     * with its rectangle in pixels
+     */
+    getLayerAt(pos) {
+        if (this.activeTransition) return null;
+
+        const layers = this.scene.layers.filter(layer =>
+            layer.visible !== false && MOVABLE_LAYER_TYPES.includes(layer.type));
+
+        for (let i = layers.length - 1; i >= 0; i--) {
+            const rect = this._getLayerRect(layers[i], this.webcamPosition);
+            if (pos.x >= rect.x && pos.x <= rect.x + rect.width &&
+                pos.y >= rect.y && pos.y <= rect.y + rect.height) {
+                return { layer: layers[i], rect };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Play a lower third's animation again, or restart a timer
+     */
+    restartLayer(layerId) {
+        this.layerShownAt.delete(layerId);
+        this.timerStarts.delete(layerId);
+    }
+
+    /**
+     * Update webcam overlay position
+     */
+    _updateWebcamPosition() {
+        const margin = this.webcamPosition.margin;
+        this.webcamPosition.x = this.width - this.webcamPosition.width - margin;
+        this.webcamPosition.y = this.height - this.webcamPosition.height - margin;
+    }
+
+    /**
+     * Put the webcam overlay in a corner (the corner-* layouts)
+     */
+    setWebcamPosition(position, transition = this.transition) {
+        const corners = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+        return this.setLayout(`corner-${corners.includes(position) ? position : 'bottom-right'}`, transition);
     }
 
     /**
-     * Set webcam overlay size
+     * Set webcam overlay size, keeping it in its corner
      */
     setWebcamSize(width, height) {
         this.webcamPosition.width = width;
         this.webcamPosition.height = height;
-        this._updateWebcamPosition();
+
+        const layout = this.scene.layout;
+        this.setLayout(layout && layout.startsWith('corner-') ? layout : 'corner-bottom-right', { type: 'cut' });
     }
 
     /**
@@ -283,124 +632,454 @@ class VideoCompositor {
     }
 
     /**
-     * Draw a single frame
+     * Draw a single frame: the active scene, or both scenes mid-transition
      */
     _drawFrame() {
         const ctx = this.ctx;
+        const sources = {
+            screen: this._isVideoReady(this.screenVideo) ? this.screenVideo : null,
+            webcam: this._isVideoReady(this.webcamVideo) ? this.webcamVideo : null
+        };
 
-        // Clear canvas with black background
-        ctx.fillStyle = '#0a0a0f';
-        ctx.fillRect(0, 0, this.width, this.height);
+        const transition = this.activeTransition;
+        const progress = transition ? (performance.now() - transition.start) / transition.duration : 1;
+        if (progress >= 1) {
+            this.activeTransition = null;
+            this.overlayVisible = this._drawScene(this.scene, sources, this.webcamPosition);
+            return;
+        }
 
-        const hasScreen = this.screenVideo && this.screenVideo.readyState >= 2 && this.screenVideo.srcObject;
-        const hasWebcam = this.webcamVideo && this.webcamVideo.readyState >= 2 && this.webcamVideo.srcObject;
+        // Ease in and out
+        const t = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2;
 
-        if (hasScreen) {
-            // Draw screen capture (scaled to fit)
-            this._drawScreenCapture();
+        // Outgoing scene underneath
+        ctx.save();
+        if (transition.type === 'slide') {
+            ctx.translate(-t * this.width, 0);
+        }
+        this._drawScene(transition.from, sources, transition.fromOverlay);
+        ctx.restore();
 
-            // Draw webcam as overlay if also active
-            if (hasWebcam) {
-                this._drawWebcamOverlay();
-            }
-        } else if (hasWebcam) {
-            // Only webcam active - draw it fullscreen
-            this._drawWebcamFullscreen();
+        // Incoming scene on top
+        ctx.save();
+        if (transition.type === 'slide') {
+            ctx.translate((1 - t) * this.width, 0);
+        } else if (transition.type === 'zoom') {
+            const scale = 0.6 + 0.4 * t;
+            ctx.translate(this.width / 2, this.height / 2);
+            ctx.scale(scale, scale);
+            ctx.translate(-this.width / 2, -this.height / 2);
+            ctx.globalAlpha = t;
+        } else {
+            ctx.globalAlpha = t;
         }
+        this._drawScene(this.scene, sources, this.webcamPosition);
+        ctx.restore();
+
+        // The overlay can be dragged again once the transition is over
+        this.overlayVisible = false;
     }
 
     /**
-     * Draw screen capture to canvas
+     * Draw a scene's background and layers, bottom to top
+     * Returns whether the webcam overlay was drawn as an overlay
      */
-    _drawScreenCapture() {
-        const video = this.screenVideo;
+    _drawScene(scene, sources, overlay) {
         const ctx = this.ctx;
 
-        // Calculate aspect ratio fit
-        const videoAspect = video.videoWidth / video.videoHeight;
-        const canvasAspect = this.width / this.height;
+        // Clear canvas with the scene's background
+        ctx.fillStyle = scene.background || '#0a0a0f';
+        ctx.fillRect(0, 0, this.width, this.height);
 
-        let drawWidth, drawHeight, offsetX, offsetY;
+        // Hidden lower thirds animate in again when shown
+        scene.layers.forEach(layer => {
+            if (layer.visible === false) this.layerShownAt.delete(layer.id);
+        });
+
+        // Layers whose source isn't running are skipped
+        const layers = scene.layers.filter(layer =>
+            layer.visible !== false && (!(layer.type in sources) || sources[layer.type]));
+        const videoLayers = layers.filter(layer => layer.type in sources);
+
+        let overlayDrawn = false;
+        layers.forEach(layer => {
+            if (layer.expandWhenAlone && videoLayers.length === 1) {
+                // Only webcam active - draw it fullscreen
+                this._drawLayer({
+                    ...layer, x: 0, y: 0, width: 1, height: 1,
+                    fit: 'contain', overlay: false, borderRadius: 0, borderWidth: 0
+                }, sources, overlay);
+            } else {
+                this._drawLayer(layer, sources, overlay);
+                overlayDrawn = overlayDrawn || !!layer.overlay;
+            }
+        });
 
-        if (videoAspect > canvasAspect) {
-            // Video is wider - fit to width
-            drawWidth = this.width;
-            drawHeight = this.width / videoAspect;
-            offsetX = 0;
-            offsetY = (this.height - drawHeight) / 2;
-        } else {
-            // Video is taller - fit to height
-            drawHeight = this.height;
-            drawWidth = this.height * videoAspect;
-            offsetX = (this.width - drawWidth) / 2;
-            offsetY = 0;
+        return overlayDrawn;
+    }
+
+    /**
+     * Whether a source video has frames to draw
+     */
+    _isVideoReady(video) {
+        return !!(video && video.readyState >= 2 && video.srcObject);
+    }
+
+    /**
+     * Canvas rectangle of a layer, in pixels (`overlay` is where the webcam overlay sits)
+     */
+    _getLayerRect(layer, overlay) {
+        if (layer.type === 'webcam' && layer.overlay) {
+            return { x: overlay.x, y: overlay.y, width: overlay.width, height: overlay.height };
+        }
+        if (layer.type === 'image') {
+            return this._getImageRect(layer);
         }
 
-        ctx.drawImage(video, offsetX, offsetY, drawWidth, drawHeight);
+        return {
+            x: (layer.x || 0) * this.width,
+            y: (layer.y || 0) * this.height,
+            width: (layer.width === undefined ? 1 : layer.width) * this.width,
+            height: (layer.height === undefined ? 1 : layer.height) * this.height
+        };
+    }
+
+    /**
+     * Image layers are sized by `scale` (a fraction of the canvas width) at
+     * their own aspect ratio, and sit in a corner (`anchor`) or wherever
+     * they were dragged to ('free', using x and y)
+     */
+    _getImageRect(layer) {
+        const width = (layer.scale || 0.15) * this.width;
+        const height = width / (layer.aspect || 1);
+        const margin = this.webcamPosition.margin;
+        const right = this.width - width - margin;
+        const bottom = this.height - height - margin;
+
+        switch (layer.anchor) {
+            case 'top-left':
+                return { x: margin, y: margin, width, height };
+            case 'top-right':
+                return { x: right, y: margin, width, height };
+            case 'bottom-left':
+                return { x: margin, y: bottom, width, height };
+            case 'bottom-right':
+                return { x: right, y: bottom, width, height };
+            case 'center':
+                return { x: (this.width - width) / 2, y: (this.height - height) / 2, width, height };
+            default:
+                return { x: (layer.x || 0) * this.width, y: (layer.y || 0) * this.height, width, height };
+        }
+    }
+
+    /**
+     * Decoded image of an image layer (null until it has loaded)
+     */
+    _getImage(layer) {
+        let entry = this.images.get(layer.id);
+        if (!entry || entry.src !== layer.src) {
+            const image = new Image();
+            entry = { src: layer.src, image, ready: false };
+            image.onload = () => { entry.ready = true; };
+            image.onerror = () => console.warn('Could not load image layer:', layer.name || layer.id);
+            image.src = layer.src;
+            this.images.set(layer.id, entry);
+        }
+        return entry.ready ? entry.image : null;
+    }
+
+    /**
+     * Draw one layer
+     */
+    _drawLayer(layer, sources, overlay) {
+        const rect = this._getLayerRect(layer, overlay);
+
+        switch (layer.type) {
+            case 'screen':
+            case 'webcam':
+                this._drawVideo(sources[layer.type], rect, layer);
+                break;
+            case 'color':
+                this.ctx.fillStyle = layer.color || '#000000';
+                this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+                break;
+            case 'text':
+                this._drawText(layer, rect);
+                break;
+            case 'lower-third':
+                this._drawLowerThird(layer, rect);
+                break;
+            case 'timer':
+                this._drawText({ ...layer, text: this._getTimerText(layer) }, rect);
+                break;
+            case 'image': {
+                const image = layer.src ? this._getImage(layer) : null;
+                if (image) {
+                    this.ctx.save();
+                    this.ctx.globalAlpha *= layer.opacity === undefined ? 1 : layer.opacity;
+                    this.ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+                    this.ctx.restore();
+                }
+                break;
+            }
+        }
     }
 
     /**
-     * Draw webcam overlay with rounded corners and border
+     * Draw a video into a rectangle: fitted (contain) or filling it (cover),
+     * optionally mirrored, with rounded corners and a border
      */
-    _drawWebcamOverlay() {
-        const video = this.webcamVideo;
+    _drawVideo(video, rect, layer) {
         const ctx = this.ctx;
-        const pos = this.webcamPosition;
+        const fit = this._fitRect(video.videoWidth / video.videoHeight, rect, layer.fit || 'contain');
 
         ctx.save();
 
-        // Create rounded rectangle path
-        this._roundRect(pos.x, pos.y, pos.width, pos.height, pos.borderRadius);
+        // Clip to the layer (cover overflows it)
+        if (layer.borderRadius) {
+            this._roundRect(rect.x, rect.y, rect.width, rect.height, layer.borderRadius);
+        } else {
+            ctx.beginPath();
+            ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        }
         ctx.clip();
 
-        // Draw webcam video (mirrored horizontally)
-        ctx.translate(pos.x + pos.width, pos.y);
-        ctx.scale(-1, 1);
-        ctx.drawImage(video, 0, 0, pos.width, pos.height);
+        // Mirrored horizontally (selfie mode)
+        if (layer.mirror) {
+            ctx.translate(fit.x * 2 + fit.width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.drawImage(video, fit.x, fit.y, fit.width, fit.height);
 
         ctx.restore();
 
         // Draw border
+        if (layer.borderWidth) {
+            ctx.save();
+            ctx.strokeStyle = layer.borderColor || '#ffffff';
+            ctx.lineWidth = layer.borderWidth;
+            this._roundRect(rect.x, rect.y, rect.width, rect.height, layer.borderRadius || 0);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Fit content of an aspect ratio into a rectangle
+     */
+    _fitRect(aspect, rect, fit) {
+        if (!Number.isFinite(aspect) || aspect <= 0) {
+            return { ...rect };
+        }
+
+        const rectAspect = rect.width / rect.height;
+        // Contain fits the wider side, cover the narrower one
+        const fitWidth = (aspect > rectAspect) === (fit !== 'cover');
+
+        const width = fitWidth ? rect.width : rect.height * aspect;
+        const height = fitWidth ? rect.width / aspect : rect.height;
+        return {
+            x: rect.x + (rect.width - width) / 2,
+            y: rect.y + (rect.height - height) / 2,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Canvas font for a text layer
+     */
+    _getFont(layer, fontSize, bold = layer.bold !== false) {
+        return `${bold ? 700 : 400} ${Math.round(fontSize)}px ${LAYER_FONTS[layer.font] || LAYER_FONTS.sans}`;
+    }
+
+    /**
+     * Draw a line of text in its rectangle, aligned left, centre or right,
+     * on an optional background box
+     */
+    _drawText(layer, rect) {
+        const ctx = this.ctx;
+        const fontSize = (layer.fontSize || 0.06) * this.height;
+        const align = layer.align || 'center';
+        const text = layer.text || '';
+        const padding = layer.background ? fontSize * 0.4 : 0;
+
         ctx.save();
-        ctx.strokeStyle = pos.borderColor;
-        ctx.lineWidth = pos.borderWidth;
-        this._roundRect(pos.x, pos.y, pos.width, pos.height, pos.borderRadius);
-        ctx.stroke();
+        ctx.font = this._getFont(layer, fontSize);
+        ctx.textAlign = align;
+        ctx.textBaseline = 'middle';
+
+        const maxWidth = Math.max(1, rect.width - padding * 2);
+        const textWidth = Math.min(ctx.measureText(text).width, maxWidth);
+        const x = align === 'left' ? rect.x + padding
+            : align === 'right' ? rect.x + rect.width - padding
+                : rect.x + rect.width / 2;
+        const y = rect.y + rect.height / 2;
+
+        if (layer.background && text) {
+            const boxX = align === 'left' ? x - padding
+                : align === 'right' ? x - textWidth - padding
+                    : x - textWidth / 2 - padding;
+            ctx.fillStyle = layer.background;
+            this._roundRect(boxX, y - fontSize * 0.75, textWidth + padding * 2, fontSize * 1.5, fontSize * 0.2);
+            ctx.fill();
+        }
+
+        ctx.fillStyle = layer.color || '#ffffff';
+        ctx.fillText(text, x, y, maxWidth);
         ctx.restore();
     }
 
     /**
-     * Draw webcam fullscreen (when no screen capture active)
+     * Text of a clock, elapsed-time or countdown layer
+     * Elapsed and countdown timers start when first shown (see restartLayer)
      */
-    _drawWebcamFullscreen() {
-        const video = this.webcamVideo;
+    _getTimerText(layer) {
+        let time;
+        if (layer.mode === 'clock') {
+            time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        } else {
+            if (!this.timerStarts.has(layer.id)) {
+                this.timerStarts.set(layer.id, Date.now());
+            }
+            const elapsed = (Date.now() - this.timerStarts.get(layer.id)) / 1000;
+
+            if (layer.mode === 'countdown') {
+                const remaining = Math.max(0, (layer.duration || 0) - elapsed);
+                if (remaining === 0 && layer.endText) {
+                    return layer.endText;
+                }
+                time = this._formatTime(Math.ceil(remaining));
+            } else {
+                time = this._formatTime(Math.floor(elapsed));
+            }
+        }
+
+        return layer.label ? `${layer.label} ${time}` : time;
+    }
+
+    /**
+     * Format seconds as M:SS, or H:MM:SS from an hour
+     */
+    _formatTime(seconds) {
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = String(seconds % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+
+    /**
+     * Draw a lower third (title and subtitle) in one of its templates,
+     * animated in when it appears and out after `hideAfter` seconds
+     */
+    _drawLowerThird(layer, rect) {
         const ctx = this.ctx;
+        const now = performance.now();
+        if (!this.layerShownAt.has(layer.id)) {
+            this.layerShownAt.set(layer.id, now);
+        }
 
-        // Calculate aspect ratio fit
-        const videoAspect = video.videoWidth / video.videoHeight;
-        const canvasAspect = this.width / this.height;
+        // 0 (hidden) to 1 (fully in), eased
+        const shown = now - this.layerShownAt.get(layer.id);
+        const hideAt = layer.hideAfter > 0 ? layer.hideAfter * 1000 : Infinity;
+        const linear = Math.min(1, shown / LOWER_THIRD_ANIMATION, (hideAt + LOWER_THIRD_ANIMATION - shown) / LOWER_THIRD_ANIMATION);
+        if (linear <= 0) return;
+        const progress = 1 - (1 - linear) ** 3;
+
+        const accent = layer.accentColor || '#6366f1';
+        const background = layer.background || '#111827e6';
+        const titleSize = rect.height * 0.34;
+        const subtitleSize = rect.height * 0.22;
+        const hasSubtitle = !!layer.subtitle;
+        const titleY = rect.y + rect.height * (hasSubtitle ? 0.36 : 0.5);
+        const subtitleY = rect.y + rect.height * 0.74;
 
-        let drawWidth, drawHeight, offsetX, offsetY;
+        ctx.save();
 
-        if (videoAspect > canvasAspect) {
-            // Video is wider - fit to width
-            drawWidth = this.width;
-            drawHeight = this.width / videoAspect;
-            offsetX = 0;
-            offsetY = (this.height - drawHeight) / 2;
+        // Animate in: slide from the left, wipe open or fade
+        const animation = layer.animation || 'slide';
+        if (animation === 'fade') {
+            ctx.globalAlpha *= progress;
         } else {
-            // Video is taller - fit to height
-            drawHeight = this.height;
-            drawWidth = this.height * videoAspect;
-            offsetX = (this.width - drawWidth) / 2;
-            offsetY = 0;
+            ctx.beginPath();
+            ctx.rect(rect.x, rect.y, rect.width * (animation === 'wipe' ? progress : 1), rect.height);
+            ctx.clip();
+            if (animation === 'slide') {
+                ctx.translate(-(1 - progress) * rect.width, 0);
+            }
+        }
+
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        const padding = rect.height * 0.18;
+
+        switch (layer.template) {
+            case 'modern': {
+                // Title on an accent box, subtitle on a box below it
+                ctx.font = this._getFont(layer, titleSize, true);
+                const titleWidth = Math.min(rect.width, ctx.measureText(layer.title || '').width + padding * 2);
+                ctx.fillStyle = accent;
+                ctx.fillRect(rect.x, rect.y, titleWidth, rect.height * (hasSubtitle ? 0.6 : 1));
+
+                if (hasSubtitle) {
+                    ctx.font = this._getFont(layer, subtitleSize, false);
+                    const subtitleWidth = Math.min(rect.width, ctx.measureText(layer.subtitle).width + padding * 2);
+                    ctx.fillStyle = background;
+                    ctx.fillRect(rect.x, rect.y + rect.height * 0.6, subtitleWidth, rect.height * 0.4);
+                    ctx.fillStyle = layer.color || '#ffffff';
+                    ctx.fillText(layer.subtitle, rect.x + padding, rect.y + rect.height * 0.8, rect.width - padding * 2);
+                }
+
+                ctx.font = this._getFont(layer, titleSize, true);
+                ctx.fillStyle = layer.color || '#ffffff';
+                ctx.fillText(layer.title || '', rect.x + padding, rect.y + rect.height * (hasSubtitle ? 0.3 : 0.5), rect.width - padding * 2);
+                break;
+            }
+
+            case 'minimal': {
+                // Shadowed text over an accent underline
+                ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+                ctx.shadowBlur = titleSize * 0.3;
+                ctx.fillStyle = layer.color || '#ffffff';
+                ctx.font = this._getFont(layer, titleSize, true);
+                ctx.fillText(layer.title || '', rect.x, titleY, rect.width);
+                const lineWidth = Math.min(rect.width, ctx.measureText(layer.title || '').width);
+
+                if (hasSubtitle) {
+                    ctx.font = this._getFont(layer, subtitleSize, false);
+                    ctx.fillText(layer.subtitle, rect.x, subtitleY, rect.width);
+                }
+
+                ctx.shadowBlur = 0;
+                ctx.fillStyle = accent;
+                ctx.fillRect(rect.x, titleY + titleSize * 0.6, lineWidth * progress, Math.max(2, rect.height * 0.03));
+                break;
+            }
+
+            case 'classic':
+            default: {
+                // Accent bar beside a box holding both lines
+                const barWidth = rect.height * 0.08;
+                ctx.fillStyle = background;
+                ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+                ctx.fillStyle = accent;
+                ctx.fillRect(rect.x, rect.y, barWidth, rect.height);
+
+                const textX = rect.x + barWidth + padding;
+                const textWidth = rect.width - barWidth - padding * 2;
+                ctx.fillStyle = layer.color || '#ffffff';
+                ctx.font = this._getFont(layer, titleSize, true);
+                ctx.fillText(layer.title || '', textX, titleY, textWidth);
+
+                if (hasSubtitle) {
+                    ctx.globalAlpha *= 0.8;
+                    ctx.font = this._getFont(layer, subtitleSize, false);
+                    ctx.fillText(layer.subtitle, textX, subtitleY, textWidth);
+                }
+                break;
+            }
         }
 
-        // Draw mirrored (selfie mode)
-        ctx.save();
-        ctx.translate(this.width, 0);
-        ctx.scale(-1, 1);
-        ctx.drawImage(video, this.width - offsetX - drawWidth, offsetY, drawWidth, drawHeight);
         ctx.restore();
     }
 
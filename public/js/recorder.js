@@ -3,22 +3,76 @@
  * Records the composite canvas output using MediaRecorder API
  */
 
+// A saved replay sends one file per segment; /api/edit takes at most 10 (MAX_SOURCES in routes/edit.js)
+const MAX_REPLAY_SEGMENTS = 10;
+const MIN_REPLAY_SEGMENT_LENGTH = 20000; // ms
+
 class VideoRecorder {
     constructor() {
         this.mediaRecorder = null;
-        this.recordedChunks = [];
+        this.recordStream = null;
         this.isRecording = false;
+        this.isPaused = false;
         this.startTime = null;
-        this.duration = 0;
+        this.duration = 0; // Of the current part
+
+        // Time spent paused doesn't count towards the duration
+        this.pauseStart = null;
+        this.pausedTime = 0;
 
         // Recording settings
         this.mimeType = 'video/webm;codecs=vp9';
         this.videoBitsPerSecond = 5000000; // 5 Mbps
 
+        // The file being recorded, or the last one recorded (see _createPart)
+        this.part = null;
+
+        // Segmentation: long recordings roll over to a new, independently playable
+        // file every `segmentMinutes` or `segmentMegabytes` (0 = never)
+        this.segmentMinutes = 0;
+        this.segmentMegabytes = 0;
+        this.segmentAction = null;  // null, 'convert' or 'youtube' for each finished part
+        this.segmentFormat = 'mp4'; // null keeps WebM
+        this.parts = [];            // Finished parts of the current recording
+        this.recordingName = null;  // recording-<timestamp>; parts add -partNN
+        this.partExports = Promise.resolve(); // Parts are exported one at a time
+
+        // Chunks go to IndexedDB as they arrive (see RecordingStore), memory is the fallback
+        this.store = typeof recordingStore !== 'undefined' && recordingStore.isSupported() ? recordingStore : null;
+
+        // Chunks are also streamed to the server while recording (see UploadSession),
+        // so converting or uploading afterwards doesn't have to send the whole file
+        this.streamUploads = typeof UploadSession !== 'undefined';
+
+        // ISO recordings: the raw sources recorded separately next to the composite,
+        // packaged into one multi-track MKV for re-compositing later (see routes/iso.js)
+        this.getIsoStreams = null; // () => { screen, webcam, mic, system } MediaStreams, or null
+        this.isoLabels = {
+            screen: 'Screen',
+            webcam: 'Webcam',
+            mic: 'Microphone',
+            system: 'System audio'
+        };
+
+        // Replay buffer: short standalone segments, oldest dropped once the window is covered
+        this.replaySegments = []; // [{ startTime, endTime, chunks, recorder }]
+        this.replayStream = null;
+        this.replayWindow = 0;    // ms
+        this.replaySegmentLength = MIN_REPLAY_SEGMENT_LENGTH; // ms; each segment starts on a keyframe
+        this.replayTimer = null;
+        this.isReplayBuffering = false;
+
+        // Socket.io connection for conversion progress (shared with StreamClient)
+        this.socket = null;
+
         // Callbacks
         this.onRecordingStart = null;
         this.onRecordingStop = null;
+        this.onRecordingPause = null;
+        this.onRecordingResume = null;
         this.onDataAvailable = null;
+        this.onConvertProgress = null; // (stage, percent, message)
+        this.onPartUpdate = null;      // (part) when a part finishes or its export moves on
     }
 
     /**
@@ -77,40 +131,22 @@ class VideoRecorder {
         }
 
         try {
-            // Create MediaRecorder
-            this.mediaRecorder = new MediaRecorder(combinedStream, {
-                mimeType: this.mimeType,
-                videoBitsPerSecond: this.videoBitsPerSecond
-            });
-
-            this.recordedChunks = [];
-
-            // Handle data available
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                    if (this.onDataAvailable) {
-                        this.onDataAvailable(event.data);
-                    }
-                }
-            };
+            // The previous recording's uploads are no longer needed
+            this._abortUploads();
 
-            // Handle recording stop
-            this.mediaRecorder.onstop = () => {
-                this.isRecording = false;
-                this.duration = Date.now() - this.startTime;
-
-                if (this.onRecordingStop) {
-                    this.onRecordingStop(this.recordedChunks, this.duration);
-                }
-
-                console.log('⏹️ Recording stopped', `Duration: ${Math.round(this.duration / 1000)}s`);
-            };
+            const now = new Date();
+            const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+            this.recordingName = `recording-${timestamp}`;
+            this.recordStream = combinedStream;
+            this.parts = [];
+            this.startTime = Date.now();
+            this.pauseStart = null;
+            this.pausedTime = 0;
 
             // Start recording
-            this.mediaRecorder.start(1000); // Collect data every second
+            this._startPart(1, 0);
             this.isRecording = true;
-            this.startTime = Date.now();
+            this.isPaused = false;
 
             if (this.onRecordingStart) {
                 this.onRecordingStart();
@@ -135,44 +171,541 @@ class VideoRecorder {
             return;
         }
 
+        this._controlIsoTracks(this.part, 'stop');
         this.mediaRecorder.stop();
     }
 
     /**
-     * Get the recorded blob
+     * Pause recording (a break in the lecture), keeping one output file
      */
-    getBlob() {
-        if (this.recordedChunks.length === 0) {
-            return null;
+    pause() {
+        if (!this.isRecording || this.isPaused) {
+            return false;
+        }
+
+        this.mediaRecorder.pause();
+        this._controlIsoTracks(this.part, 'pause');
+        this.isPaused = true;
+        this.pauseStart = Date.now();
+
+        // Remember where the break was; it becomes a chapter when converting
+        const part = this.part;
+        const marker = Math.round(this._getElapsed() - part.startOffset) / 1000;
+        part.markers.push(marker);
+        if (part.persisting) {
+            const markers = [...part.markers];
+            part.pendingWrites = part.pendingWrites
+                .then(() => part.sessionId && this.store.updateSession(part.sessionId, { markers }))
+                .catch(error => console.warn('Could not save pause marker:', error.message));
+        }
+
+        if (this.onRecordingPause) {
+            this.onRecordingPause(marker);
         }
-        return new Blob(this.recordedChunks, { type: this.mimeType });
+
+        console.log('⏸️ Recording paused', `at ${marker}s`);
+        return true;
     }
 
     /**
-     * Download the recording
+     * Resume a paused recording
      */
-    download(filename = null) {
-        const blob = this.getBlob();
-        if (!blob) {
-            console.warn('No recording to download');
+    resume() {
+        if (!this.isRecording || !this.isPaused) {
+            return false;
+        }
+
+        this.mediaRecorder.resume();
+        this._controlIsoTracks(this.part, 'resume');
+        this.pausedTime += Date.now() - this.pauseStart;
+        this.pauseStart = null;
+        this.isPaused = false;
+
+        if (this.onRecordingResume) {
+            this.onRecordingResume();
+        }
+
+        console.log('▶️ Recording resumed');
+        return true;
+    }
+
+    /**
+     * Recorded time in milliseconds, excluding pauses
+     */
+    _getElapsed() {
+        const now = Date.now();
+        const paused = this.pausedTime + (this.isPaused ? now - this.pauseStart : 0);
+        return now - this.startTime - paused;
+    }
+
+    /**
+     * State of one recorded file; a segmented recording has several
+     */
+    _createPart(number, startOffset) {
+        const segmented = this.segmentMinutes > 0 || this.segmentMegabytes > 0;
+        return {
+            number,
+            name: segmented ? `${this.recordingName}-part${String(number).padStart(2, '0')}` : null,
+            title: `Recording ${new Date(this.startTime).toLocaleString()} (Part ${number})`,
+            mimeType: this.mimeType,
+            startOffset,        // Recorded ms before this part
+            duration: 0,
+            markers: [],        // Pause points, seconds into this part
+            chunks: [],         // Only chunks that could not be persisted
+            chunkCount: 0,
+            size: 0,
+            sessionId: null,    // RecordingStore session
+            persisting: !!this.store,
+            pendingWrites: Promise.resolve(),
+            uploadSession: null,
+            stopped: null,      // Resolves once its MediaRecorder has delivered everything
+            startedAt: null,    // performance.now() when recording began, to align ISO tracks
+            isoTracks: [],
+            exportAction: null,
+            exportStatus: null  // queued, converting, uploading, done or failed
+        };
+    }
+
+    /**
+     * Start recording a part with its own MediaRecorder, so it has its own header
+     */
+    _startPart(number, startOffset) {
+        const recorder = new MediaRecorder(this.recordStream, {
+            mimeType: this.mimeType,
+            videoBitsPerSecond: this.videoBitsPerSecond
+        });
+
+        const part = this._createPart(number, startOffset);
+        this._startSession(part);
+        this._startUpload(part);
+
+        // Handle data available
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                this._saveChunk(part, event.data);
+                if (this.onDataAvailable) {
+                    this.onDataAvailable(event.data);
+                }
+                if (part === this.part && this._isPartFull(part)) {
+                    this._rollOver();
+                }
+            }
+        };
+
+        // A part that was rolled over is finished on its own, the last one ends the recording
+        part.stopped = new Promise(resolve => {
+            recorder.onstop = () => resolve();
+        });
+        part.stopped.then(() => part === this.part ? this._onStopped() : this._finishPart(part));
+        recorder.onstart = () => {
+            part.startedAt = performance.now();
+        };
+
+        recorder.start(1000); // Collect data every second
+        part.isoTracks = this._startIsoTracks();
+        this.mediaRecorder = recorder;
+        this.part = part;
+    }
+
+    /**
+     * Record the raw sources separately (ISO), each with its own MediaRecorder
+     * Tracks persist like a part but aren't streamed; they're only sent when packaged
+     */
+    _startIsoTracks() {
+        const streams = (this.getIsoStreams && this.getIsoStreams()) || {};
+        const tracks = [];
+
+        Object.entries(streams).forEach(([source, stream]) => {
+            if (!stream) return;
+
+            const kind = stream.getVideoTracks().length > 0 ? 'video' : 'audio';
+            const mimeType = this._getIsoMimeType(kind);
+            if (!mimeType) return;
+
+            try {
+                const recorder = new MediaRecorder(stream, {
+                    mimeType,
+                    ...(kind === 'video' ? { videoBitsPerSecond: this.videoBitsPerSecond } : {})
+                });
+
+                const track = {
+                    source,
+                    label: this.isoLabels[source] || source,
+                    mimeType,
+                    chunks: [],
+                    chunkCount: 0,
+                    size: 0,
+                    sessionId: null,
+                    persisting: !!this.store,
+                    pendingWrites: Promise.resolve(),
+                    uploadSession: null,
+                    recorder,
+                    stopped: null,
+                    startedAt: null
+                };
+                this._startSession(track);
+
+                recorder.ondataavailable = (event) => {
+                    if (event.data.size > 0) this._saveChunk(track, event.data);
+                };
+                recorder.onstart = () => {
+                    track.startedAt = performance.now();
+                };
+                track.stopped = new Promise(resolve => {
+                    recorder.onstop = () => resolve();
+                });
+
+                recorder.start(1000);
+                tracks.push(track);
+
+            } catch (error) {
+                console.warn(`⚠️ Could not record ${source} separately:`, error.message);
+            }
+        });
+
+        if (tracks.length > 0) {
+            console.log('🎞️ ISO tracks:', tracks.map(track => track.source).join(', '));
+        }
+        return tracks;
+    }
+
+    /**
+     * MIME type for a video-only or audio-only ISO track
+     */
+    _getIsoMimeType(kind) {
+        const types = kind === 'audio'
+            ? ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4']
+            : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Pause, resume or stop a part's ISO recorders (sources that ended have stopped already)
+     */
+    _controlIsoTracks(part, action) {
+        part.isoTracks.forEach(track => {
+            if (track.recorder.state !== 'inactive') track.recorder[action]();
+        });
+    }
+
+    /**
+     * Whether the current part has reached the segment duration or size
+     */
+    _isPartFull(part) {
+        if (this.isPaused) return false;
+
+        const tooLong = this.segmentMinutes > 0 && this._getElapsed() - part.startOffset >= this.segmentMinutes * 60 * 1000;
+        const tooBig = this.segmentMegabytes > 0 && part.size >= this.segmentMegabytes * 1024 * 1024;
+        return tooLong || tooBig;
+    }
+
+    /**
+     * Continue in a new part
+     * The next MediaRecorder starts before the current one stops, so nothing is lost in between
+     */
+    _rollOver() {
+        const previous = this.part;
+        const recorder = this.mediaRecorder;
+
+        previous.duration = this._getElapsed() - previous.startOffset;
+        this.parts.push(previous);
+
+        this._startPart(previous.number + 1, previous.startOffset + previous.duration);
+        this._controlIsoTracks(previous, 'stop');
+        recorder.stop();
+
+        console.log(`✂️ Recording part ${previous.number} finished, continuing in part ${this.part.number}`);
+    }
+
+    /**
+     * Save a rolled-over part's bookkeeping and hand it on
+     */
+    async _finishPart(part) {
+        await part.pendingWrites;
+        if (part.persisting) {
+            // It stays recoverable until the whole recording stops
+            await this.store.updateSession(part.sessionId, { duration: part.duration, markers: part.markers })
+                .catch(error => console.warn('Could not save recording part:', error.message));
+        }
+
+        if (this.segmentAction) {
+            this.exportPart(part, this.segmentAction);
+        } else {
+            this._notifyPart(part);
+        }
+    }
+
+    /**
+     * The last part has stopped: the recording is done
+     */
+    async _onStopped() {
+        const part = this.part;
+        part.duration = this._getElapsed() - part.startOffset;
+        this.duration = part.duration;
+        this.isRecording = false;
+        this.isPaused = false;
+
+        // Let the last chunks reach IndexedDB before anyone reads the recording
+        const parts = [...this.parts, part];
+        const files = parts.flatMap(p => [p, ...p.isoTracks]);
+        await Promise.all(files.map(file => file.stopped));
+        await Promise.all(files.map(file => file.pendingWrites));
+        for (const p of parts) {
+            for (const file of [p, ...p.isoTracks]) {
+                if (!file.persisting) continue;
+                await this.store.finishSession(file.sessionId, { duration: p.duration, markers: p.markers })
+                    .catch(error => console.warn('Could not finish recording session:', error.message));
+            }
+        }
+
+        if (this.onRecordingStop) {
+            this.onRecordingStop(part.chunks, this.duration);
+        }
+
+        console.log('⏹️ Recording stopped', `Duration: ${Math.round((part.startOffset + this.duration) / 1000)}s`,
+            parts.length > 1 ? `in ${parts.length} parts` : '');
+    }
+
+    /**
+     * Open a RecordingStore session for a new part
+     */
+    _startSession(part) {
+        if (!part.persisting) return;
+
+        part.pendingWrites = this.store.createSession({ mimeType: part.mimeType, source: part.source || null })
+            .then(session => {
+                part.sessionId = session.id;
+                if (part.number === 1) this._removeFinishedSessions(session.id);
+            })
+            .catch(error => this._stopPersisting(part, error));
+    }
+
+    /**
+     * Start streaming a new part to the server
+     */
+    _startUpload(part) {
+        // Chunks that reach IndexedDB are read back from there instead of waiting in memory
+        const loadChunk = part.persisting ? (index) => this.store.getChunk(part.sessionId, index) : null;
+        part.uploadSession = this.streamUploads ? new UploadSession(loadChunk) : null;
+        if (part.uploadSession) {
+            part.uploadSession.start();
+        }
+    }
+
+    /**
+     * Delete the server copies of the previous recording (parts being exported keep theirs)
+     */
+    _abortUploads() {
+        const parts = this.part ? [...this.parts, this.part] : this.parts;
+        parts.forEach(part => {
+            if (part.uploadSession && !part.exportStatus) part.uploadSession.abort();
+        });
+    }
+
+    /**
+     * Upload ID of a finished part, or null to send the file instead
+     * Waits for the streaming upload to catch up first
+     */
+    async _getUploadId(part = this.part) {
+        if (!part || !part.uploadSession || (part === this.part && this.isRecording)) return null;
+
+        part.uploadSession.onProgress = (sent, total) => {
+            this._reportConvertProgress('uploading', total > 0 ? (sent / total) * 100 : 100);
+        };
+        return part.uploadSession.finish();
+    }
+
+    /**
+     * Persist a chunk in order, keeping it in memory if IndexedDB fails
+     */
+    _saveChunk(part, blob) {
+        const index = part.chunkCount++;
+        part.size += blob.size;
+
+        if (part.uploadSession) {
+            part.uploadSession.append(blob, index);
+        }
+
+        if (!part.persisting) {
+            part.chunks.push(blob);
             return;
         }
 
-        // Generate filename with timestamp
-        if (!filename) {
-            const now = new Date();
-            const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
-            filename = `recording-${timestamp}.webm`;
+        part.pendingWrites = part.pendingWrites
+            .then(() => {
+                if (!part.persisting) {
+                    part.chunks.push(blob);
+                    return;
+                }
+                return this.store.appendChunk(part.sessionId, index, blob).then(() => {
+                    if (part.uploadSession) part.uploadSession.release(index);
+                });
+            })
+            .catch(error => {
+                this._stopPersisting(part, error);
+                part.chunks.push(blob);
+            });
+    }
+
+    /**
+     * Fall back to memory for the rest of the part
+     */
+    _stopPersisting(part, error) {
+        if (!part.persisting) return;
+        part.persisting = false;
+        console.warn('⚠️ Could not save recording to IndexedDB, keeping it in memory:', error.message);
+    }
+
+    /**
+     * Drop earlier finished recordings (unfinished ones stay for recovery)
+     * ISO tracks of earlier recordings go too, they can't be recovered on their own
+     */
+    async _removeFinishedSessions(keepId) {
+        try {
+            const sessions = await this.store.listSessions();
+            for (const session of sessions) {
+                const earlierIso = session.source && session.startTime < this.startTime;
+                if (session.id !== keepId && (session.status === 'complete' || earlierIso)) {
+                    await this.store.deleteSession(session.id);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not clean up old recordings:', error.message);
         }
+    }
 
-        // Create download link
-        const url = URL.createObjectURL(blob);
+    /**
+     * Unfinished recordings left by a crash or refresh
+     */
+    async getRecoverableSessions() {
+        if (!this.store) return [];
+
+        try {
+            const own = [...this.parts, this.part].filter(Boolean).map(part => part.sessionId);
+            const sessions = await this.store.listSessions('recording');
+            return sessions.filter(session => !own.includes(session.id) && !session.source && session.chunkCount > 0);
+        } catch (error) {
+            console.warn('Could not read saved recordings:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Make a saved session the current recording
+     */
+    async recover(sessionId) {
+        if (this.isRecording || !this.store) return false;
+
+        const session = await this.store.getSession(sessionId);
+        if (!session || session.chunkCount === 0) return false;
+
+        // Crashed sessions never got a duration; chunks arrive once a second while recording
+        const duration = session.duration || session.chunkCount * 1000;
+        await this.store.finishSession(session.id, { duration, markers: session.markers || [] });
+
+        // A recovered recording never finished uploading, it is sent whole when used
+        this._abortUploads();
+
+        this.mimeType = session.mimeType;
+        this.startTime = session.startTime;
+        this.parts = [];
+        this.part = {
+            ...this._createPart(1, 0),
+            name: null,
+            sessionId: session.id,
+            chunkCount: session.chunkCount,
+            size: session.size,
+            duration,
+            markers: session.markers || [],
+            persisting: true,
+            stopped: Promise.resolve()
+        };
+        this.duration = duration;
+
+        console.log('♻️ Recording recovered:', session.id, `Duration: ${Math.round(duration / 1000)}s`);
+        return true;
+    }
+
+    /**
+     * Delete a saved session
+     */
+    async discardSession(sessionId) {
+        if (this.store) await this.store.deleteSession(sessionId);
+    }
+
+    /**
+     * Get the recorded blob (of the current part)
+     */
+    async getBlob() {
+        return this.part ? this._getPartBlob(this.part) : null;
+    }
+
+    /**
+     * Read a part back from IndexedDB (plus any chunks that only made it into memory)
+     */
+    async _getPartBlob(part) {
+        await part.pendingWrites;
+
+        const stored = part.sessionId ? await this.store.getBlob(part.sessionId) : null;
+        const chunks = stored ? [stored, ...part.chunks] : part.chunks;
+        if (chunks.length === 0) {
+            return null;
+        }
+        return new Blob(chunks, { type: part.mimeType });
+    }
+
+    /**
+     * File name for a part: its sequential name, or the current time
+     */
+    _getFilename(extension, part = this.part) {
+        if (part && part.name) {
+            return `${part.name}.${extension}`;
+        }
+
+        const now = new Date();
+        const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        return `recording-${timestamp}.${extension}`;
+    }
+
+    /**
+     * Save a URL to disk through a temporary link
+     */
+    _triggerDownload(url, filename) {
         const a = document.createElement('a');
         a.href = url;
         a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
+    }
+
+    /**
+     * Download the recording
+     */
+    async download(filename = null) {
+        if (!this.part) {
+            console.warn('No recording to download');
+            return;
+        }
+        await this.downloadPart(this.part, filename);
+    }
+
+    /**
+     * Download one part as recorded (WebM)
+     */
+    async downloadPart(part, filename = null) {
+        const blob = await this._getPartBlob(part);
+        if (!blob) {
+            console.warn('No recording to download');
+            return;
+        }
+
+        // Generate filename with timestamp
+        filename = filename || this._getFilename('webm', part);
+
+        // Create download link
+        const url = URL.createObjectURL(blob);
+        this._triggerDownload(url, filename);
 
         // Cleanup
         setTimeout(() => URL.revokeObjectURL(url), 100);
@@ -180,68 +713,540 @@ class VideoRecorder {
         console.log('💾 Recording downloaded:', filename);
     }
 
+    /**
+     * Queue a finished part for conversion (then download) or YouTube upload
+     * Parts are exported one at a time, in order; `format` null keeps WebM
+     */
+    exportPart(part, action, format = this.segmentFormat) {
+        part.exportAction = action;
+        part.exportStatus = 'queued';
+        part.error = null;
+        this._notifyPart(part);
+
+        this.partExports = this.partExports.then(async () => {
+            try {
+                if (action === 'youtube') {
+                    part.exportStatus = 'uploading';
+                    this._notifyPart(part);
+
+                    const formData = new FormData();
+                    const uploadId = await this._getUploadId(part);
+                    if (uploadId) {
+                        formData.append('uploadId', uploadId);
+                    } else {
+                        formData.append('video', await this._getPartBlob(part), this._getFilename('webm', part));
+                    }
+
+                    const result = await this._postToYouTube(formData, {
+                        title: part.title,
+                        description: '',
+                        privacy: 'private',
+                        tags: ''
+                    });
+                    part.videoUrl = result.videoUrl;
+                } else if (!format) {
+                    await this.downloadPart(part);
+                } else {
+                    part.exportStatus = 'converting';
+                    this._notifyPart(part);
+
+                    const uploadId = await this._getUploadId(part);
+                    const blob = uploadId ? null : await this._getPartBlob(part);
+                    const result = await this._runServerJob('/api/convert', (formData) => {
+                        if (uploadId) {
+                            formData.append('uploadId', uploadId);
+                        } else {
+                            formData.append('video', blob, 'recording.webm');
+                        }
+                        formData.append('format', format);
+                        formData.append('duration', String(Math.round(part.duration / 1000)));
+                        formData.append('markers', JSON.stringify(part.markers));
+                    });
+
+                    const extension = (result.filename || '').split('.').pop() || format;
+                    this._triggerDownload(result.downloadUrl, this._getFilename(extension, part));
+                }
+
+                part.exportStatus = 'done';
+                this._reportConvertProgress('done', 100);
+                console.log(`✅ Recording part ${part.number} exported (${action})`);
+
+            } catch (error) {
+                console.error(`Recording part ${part.number} export error:`, error);
+                part.exportStatus = 'failed';
+                part.error = error.message;
+                this._reportConvertProgress('failed', 0, error.message);
+            }
+
+            this._notifyPart(part);
+        });
+
+        return this.partExports;
+    }
+
+    /**
+     * Notify listeners about a part
+     */
+    _notifyPart(part) {
+        if (this.onPartUpdate) {
+            this.onPartUpdate(part);
+        }
+    }
+
+    /**
+     * Whether a part was recorded with ISO tracks
+     */
+    hasIsoTracks(part = this.part) {
+        return !!part && part.isoTracks.length > 0;
+    }
+
+    /**
+     * Package a part with its ISO tracks into one multi-track MKV and download it
+     * Offsets between the recorders are sent along so the server can line the tracks up
+     */
+    async downloadIsoPackage(part = this.part) {
+        if (!this.hasIsoTracks(part) || (part === this.part && this.isRecording)) {
+            console.warn('No ISO tracks to package');
+            return false;
+        }
+
+        console.log(`🎞️ Packaging ${part.isoTracks.length} ISO track(s)...`);
+
+        try {
+            const uploadId = await this._getUploadId(part);
+            const video = uploadId ? null : await this._getPartBlob(part);
+            const blobs = await Promise.all(part.isoTracks.map(track => this._getPartBlob(track)));
+            const tracks = part.isoTracks
+                .map((track, index) => ({ track, blob: blobs[index] }))
+                .filter(({ blob }) => blob);
+            if (tracks.length === 0) {
+                throw new Error('The ISO tracks are empty');
+            }
+
+            const result = await this._runServerJob('/api/iso', (formData) => {
+                if (uploadId) {
+                    formData.append('uploadId', uploadId);
+                } else {
+                    formData.append('video', video, 'recording.webm');
+                }
+                tracks.forEach(({ track, blob }) => {
+                    formData.append('tracks', blob, `${track.source}.webm`);
+                });
+                formData.append('layout', JSON.stringify({
+                    tracks: tracks.map(({ track }) => ({
+                        source: track.source,
+                        label: track.label,
+                        offset: track.startedAt && part.startedAt ? (track.startedAt - part.startedAt) / 1000 : 0
+                    })),
+                    markers: part.markers
+                }));
+            });
+
+            const filename = this._getFilename('mkv', part).replace(/\.mkv$/, '-iso.mkv');
+            this._triggerDownload(result.downloadUrl, filename);
+
+            this._reportConvertProgress('done', 100);
+            console.log('💾 ISO package downloaded:', filename);
+            return true;
+
+        } catch (error) {
+            console.error('ISO package error:', error);
+            this._reportConvertProgress('failed', 0, error.message);
+            alert(`Failed to package ISO tracks: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * Download as specific format (converts via server)
+     * Uploads the recording, then follows the server-side conversion job
+     * until the converted file is ready to download.
+     * With an edit list the server trims it too; `format` null keeps WebM where possible.
      */
-    async downloadAsFormat(format = 'mp4') {
-        const blob = this.getBlob();
-        if (!blob) {
+    async downloadAsFormat(format = 'mp4', editList = null) {
+        if (!this.hasRecording()) {
             console.warn('No recording to download');
             return false;
         }
 
-        console.log(`🔄 Converting to ${format.toUpperCase()}...`);
+        const label = format ? format.toUpperCase() : 'WebM';
+        console.log(editList ? `✂️ Editing recording (${label})...` : `🔄 Converting to ${label}...`);
 
         try {
-            // Create form data
-            const formData = new FormData();
-            formData.append('video', blob, 'recording.webm');
-            formData.append('format', format);
+            const uploadId = editList ? null : await this._getUploadId();
+            const blob = editList || uploadId ? null : await this.getBlob();
+            const result = editList
+                ? await this.renderEdit(editList, format)
+                : await this._runServerJob('/api/convert', (formData) => {
+                    if (uploadId) {
+                        formData.append('uploadId', uploadId);
+                    } else {
+                        formData.append('video', blob, 'recording.webm');
+                    }
+                    formData.append('format', format);
+                    formData.append('duration', String(this.getDuration()));
+                    formData.append('markers', JSON.stringify(this.part.markers));
+                });
 
-            // Upload and convert
-            const response = await fetch('/api/convert', {
-                method: 'POST',
-                body: formData
-            });
+            // Download the converted file straight from the server
+            const extension = (result.filename || '').split('.').pop() || format;
+            const filename = this._getFilename(extension);
+            this._triggerDownload(result.downloadUrl, filename);
+
+            this._reportConvertProgress('done', 100);
+            console.log(`💾 Recording downloaded as ${label}:`, filename);
+            return true;
+
+        } catch (error) {
+            console.error('Conversion error:', error);
+            this._reportConvertProgress('failed', 0, error.message);
+            alert(`Failed to convert: ${error.message}\n\nDownloading as WebM instead.`);
+            await this.download();
+            return false;
+        }
+    }
+
+    /**
+     * Trim/cut the recording on the server from an edit list (see TrimEditor)
+     * Resolves to the finished job, whose `downloadUrl` serves the result
+     */
+    async renderEdit(editList, format = null) {
+        if (!this.hasRecording()) {
+            throw new Error('No recording available');
+        }
+
+        // The recording is only read back when the server doesn't already have it
+        const uploadId = await this._getUploadId();
+        const blob = uploadId ? null : await this.getBlob();
+        return this._runServerJob('/api/edit', (formData) => {
+            if (uploadId) {
+                formData.append('uploadId', uploadId);
+            } else {
+                formData.append('videos', blob, 'recording.webm');
+            }
+            formData.append('edl', JSON.stringify({
+                ...editList,
+                ...(format ? { format } : {}),
+                markers: this.part.markers
+            }));
+        });
+    }
+
+    /**
+     * Upload a recording for a server job and wait for the job to finish
+     * `fill(formData)` adds the request-specific fields
+     */
+    async _runServerJob(url, fill) {
+        const formData = new FormData();
+        fill(formData);
+        if (this.socket && this.socket.connected) {
+            formData.append('socketId', this.socket.id);
+        }
+
+        // Upload and queue the job
+        const job = await this._uploadWithProgress(url, formData, (percent) => {
+            this._reportConvertProgress('uploading', percent);
+        });
+
+        // Wait for the server to finish
+        return this._waitForJob(job.jobId);
+    }
+
+    /**
+     * POST form data with upload progress (fetch can't report it)
+     */
+    _uploadWithProgress(url, formData, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', url);
+            xhr.withCredentials = true;
+            xhr.responseType = 'json';
+
+            xhr.upload.onprogress = (event) => {
+                if (event.lengthComputable) {
+                    onProgress((event.loaded / event.total) * 100);
+                }
+            };
+
+            xhr.onload = () => {
+                const result = xhr.response || {};
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve(result);
+                } else {
+                    reject(new Error(result.message || result.error || 'Upload failed'));
+                }
+            };
+            xhr.onerror = () => reject(new Error('Network error during upload'));
+
+            xhr.send(formData);
+        });
+    }
+
+    /**
+     * Follow a server job until it finishes
+     * Progress comes over Socket.io when connected; polling covers the rest.
+     * Rejects when the job fails or the server no longer knows it
+     */
+    _waitForJob(jobId) {
+        return new Promise((resolve, reject) => {
+            let finished = false;
+            let pollTimer = null;
+
+            const finish = () => {
+                finished = true;
+                clearInterval(pollTimer);
+                if (this.socket) this.socket.off('job-progress', update);
+            };
+
+            const update = (job) => {
+                if (finished || job.id !== jobId) return;
+
+                if (job.status === 'queued') {
+                    this._reportConvertProgress('queued', 0, job.position ? `#${job.position} in queue` : null);
+                } else if (job.status === 'running') {
+                    this._reportConvertProgress('converting', job.progress);
+                } else if (job.status === 'done') {
+                    finish();
+                    resolve({
+                        ...job,
+                        downloadUrl: job.downloadUrl || `/api/convert/jobs/${job.id}/download`
+                    });
+                } else {
+                    finish();
+                    reject(new Error(job.message || 'Conversion failed'));
+                }
+            };
+
+            if (this.socket) this.socket.on('job-progress', update);
 
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.message || 'Conversion failed');
+            const poll = async () => {
+                try {
+                    const response = await fetch(`/api/convert/jobs/${jobId}`);
+                    if (response.ok) {
+                        update(await response.json());
+                    } else if (response.status === 404) {
+                        // Expired, or the server restarted
+                        update({ id: jobId, status: 'failed', message: 'Conversion job was lost' });
+                    }
+                } catch (error) {
+                    console.warn('Job status check failed:', error.message);
+                }
+            };
+            pollTimer = setInterval(poll, 3000);
+            poll();
+        });
+    }
+
+    /**
+     * Notify listeners about conversion progress
+     */
+    _reportConvertProgress(stage, percent, message = null) {
+        if (this.onConvertProgress) {
+            this.onConvertProgress(stage, Math.round(percent), message);
+        }
+    }
+
+    /**
+     * Start keeping the last `minutes` of output in memory
+     * Runs alongside (and independently of) a normal recording
+     */
+    startReplayBuffer(stream, audioStream = null, minutes = 2) {
+        if (this.isReplayBuffering) {
+            this.stopReplayBuffer();
+        }
+
+        const mimeType = this.getSupportedMimeType();
+        if (!mimeType) {
+            console.error('No supported MIME type found for replay buffer');
+            return false;
+        }
+
+        this.replayStream = audioStream
+            ? new MediaStream([...stream.getVideoTracks(), ...audioStream.getAudioTracks()])
+            : stream;
+        this.replayMimeType = mimeType;
+        this.replayWindow = minutes * 60 * 1000;
+        // Longer windows get longer segments: the window plus a partial segment at
+        // each end has to fit in one upload
+        this.replaySegmentLength = Math.max(MIN_REPLAY_SEGMENT_LENGTH,
+            Math.ceil(this.replayWindow / (MAX_REPLAY_SEGMENTS - 2)));
+        this.replaySegments = [];
+        this.isReplayBuffering = true;
+
+        try {
+            this._startReplaySegment();
+        } catch (error) {
+            console.error('Failed to start replay buffer:', error);
+            this.isReplayBuffering = false;
+            return false;
+        }
+
+        // Start a fresh segment regularly so old footage can be dropped
+        this.replayTimer = setInterval(() => this._rotateReplaySegment(), this.replaySegmentLength);
+
+        console.log(`⏪ Replay buffer started (last ${minutes} min)`);
+        return true;
+    }
+
+    /**
+     * Stop the replay buffer and free its memory
+     */
+    stopReplayBuffer() {
+        if (!this.isReplayBuffering) return;
+
+        clearInterval(this.replayTimer);
+        this.replayTimer = null;
+        this.isReplayBuffering = false;
+
+        this.replaySegments.forEach(segment => {
+            if (segment.recorder && segment.recorder.state !== 'inactive') {
+                segment.recorder.stop();
             }
+        });
+        this.replaySegments = [];
+        this.replayStream = null;
+
+        console.log('⏪ Replay buffer stopped');
+    }
+
+    /**
+     * Seconds of footage currently held by the replay buffer
+     */
+    getReplayDuration() {
+        const now = Date.now();
+        const held = this.replaySegments.reduce((total, segment) =>
+            total + ((segment.endTime || now) - segment.startTime), 0);
+        return Math.round(Math.min(held, this.replayWindow + this.replaySegmentLength) / 1000);
+    }
+
+    /**
+     * Export the replay window through /api/edit
+     * The segments are concatenated on the server (losslessly when nothing else
+     * changes); resolves to the finished job, whose `downloadUrl` serves the file
+     */
+    async saveReplay(format = null) {
+        if (!this.isReplayBuffering) {
+            throw new Error('Replay buffer is not running');
+        }
+
+        // Close the current segment so everything up to now is included
+        await this._rotateReplaySegment();
+
+        const segments = this.replaySegments
+            .filter(segment => segment.endTime && segment.chunks.length > 0)
+            .slice(-MAX_REPLAY_SEGMENTS);
+        if (segments.length === 0) {
+            throw new Error('Replay buffer is empty');
+        }
+
+        console.log(`⏪ Saving replay: ${segments.length} segment(s)`);
+
+        return this._runServerJob('/api/edit', (formData) => {
+            segments.forEach((segment, index) => {
+                formData.append('videos', new Blob(segment.chunks, { type: this.replayMimeType }), `replay-${index}.webm`);
+            });
+            formData.append('edl', JSON.stringify({
+                clips: segments.map((segment, index) => ({ source: index })),
+                ...(format ? { format } : {})
+            }));
+        });
+    }
+
+    /**
+     * Save the replay window and download it
+     */
+    async downloadReplay(format = null) {
+        try {
+            const result = await this.saveReplay(format);
 
-            // Download the converted file
-            const convertedBlob = await response.blob();
             const now = new Date();
             const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
-            const filename = `recording-${timestamp}.${format}`;
-
-            const url = URL.createObjectURL(convertedBlob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
+            const extension = (result.filename || '').split('.').pop() || 'webm';
+            const filename = `replay-${timestamp}.${extension}`;
 
-            setTimeout(() => URL.revokeObjectURL(url), 100);
+            this._triggerDownload(result.downloadUrl, filename);
 
-            console.log(`💾 Recording downloaded as ${format.toUpperCase()}:`, filename);
+            this._reportConvertProgress('done', 100);
+            console.log('💾 Replay downloaded:', filename);
             return true;
 
         } catch (error) {
-            console.error('Conversion error:', error);
-            alert(`Failed to convert: ${error.message}\n\nDownloading as WebM instead.`);
-            this.download();
+            console.error('Replay export error:', error);
+            this._reportConvertProgress('failed', 0, error.message);
+            alert(`Failed to save replay: ${error.message}`);
             return false;
         }
     }
 
     /**
-     * Get recording duration in seconds
+     * Record one replay segment with its own MediaRecorder
+     */
+    _startReplaySegment() {
+        const segment = { startTime: Date.now(), endTime: null, chunks: [], recorder: null };
+
+        const recorder = new MediaRecorder(this.replayStream, {
+            mimeType: this.replayMimeType,
+            videoBitsPerSecond: this.videoBitsPerSecond
+        });
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) segment.chunks.push(event.data);
+        };
+
+        segment.recorder = recorder;
+        segment.stopped = new Promise(resolve => {
+            recorder.onstop = () => {
+                segment.endTime = Date.now();
+                segment.recorder = null;
+                resolve();
+            };
+        });
+
+        recorder.start(1000);
+        this.replaySegments.push(segment);
+    }
+
+    /**
+     * Finish the current segment, start the next and drop what falls outside the window
+     */
+    async _rotateReplaySegment() {
+        if (!this.isReplayBuffering) return;
+
+        const current = this.replaySegments[this.replaySegments.length - 1];
+        if (current && current.recorder) {
+            current.recorder.stop();
+        }
+        this._startReplaySegment();
+
+        if (current) await current.stopped;
+        this._trimReplayBuffer();
+    }
+
+    /**
+     * Keep only the newest segments needed to cover the window
+     */
+    _trimReplayBuffer() {
+        const now = Date.now();
+        let covered = 0;
+        let keepFrom = 0;
+
+        for (let i = this.replaySegments.length - 1; i >= 0; i--) {
+            if (covered >= this.replayWindow) {
+                keepFrom = i + 1;
+                break;
+            }
+            const segment = this.replaySegments[i];
+            covered += (segment.endTime || now) - segment.startTime;
+        }
+
+        this.replaySegments = this.replaySegments.slice(keepFrom);
+    }
+
+    /**
+     * Get recording duration in seconds (paused time excluded)
      */
     getDuration() {
         if (this.isRecording) {
-            return Math.round((Date.now() - this.startTime) / 1000);
+            return Math.round(this._getElapsed() / 1000);
         }
         return Math.round(this.duration / 1000);
     }
@@ -260,15 +1265,16 @@ class VideoRecorder {
      * Check if there's a recording available
      */
     hasRecording() {
-        return this.recordedChunks.length > 0;
+        return !!this.part && this.part.chunkCount > 0;
     }
 
     /**
      * Upload recording to YouTube
+     * With an edit list the recording is trimmed on the server first and
+     * the edited file goes to YouTube from there
      */
-    async uploadToYouTube(title, description = '', privacy = 'private', tags = '') {
-        const blob = this.getBlob();
-        if (!blob) {
+    async uploadToYouTube(title, description = '', privacy = 'private', tags = '', editList = null) {
+        if (!this.hasRecording()) {
             console.warn('No recording to upload');
             return { success: false, error: 'No recording available' };
         }
@@ -278,32 +1284,42 @@ class VideoRecorder {
         try {
             // Create form data
             const formData = new FormData();
-            formData.append('video', blob, 'recording.webm');
-            formData.append('title', title);
-            formData.append('description', description);
-            formData.append('privacy', privacy);
-            formData.append('tags', tags);
-
-            // Upload to YouTube via our API
-            const response = await fetch('/api/youtube/upload', {
-                method: 'POST',
-                body: formData,
-                credentials: 'include'
-            });
-
-            const result = await response.json();
-
-            if (!response.ok) {
-                throw new Error(result.message || result.error || 'Upload failed');
+            const uploadId = editList ? null : await this._getUploadId();
+            if (editList) {
+                const edit = await this.renderEdit(editList);
+                this._reportConvertProgress('done', 100);
+                formData.append('jobId', edit.id);
+            } else if (uploadId) {
+                this._reportConvertProgress('done', 100);
+                formData.append('uploadId', uploadId);
+            } else {
+                formData.append('video', await this.getBlob(), 'recording.webm');
             }
 
-            console.log(`✅ YouTube upload complete: ${result.videoUrl}`);
+            return await this._postToYouTube(formData, { title, description, privacy, tags });
+
+        } catch (error) {
+            console.error('YouTube upload error:', error);
             return {
-                success: true,
-                videoId: result.videoId,
-                videoUrl: result.videoUrl,
-                title: result.title
+                success: false,
+                error: error.message
             };
+        }
+    }
+
+    /**
+     * Upload the replay window to YouTube
+     */
+    async uploadReplayToYouTube(title, description = '', privacy = 'private', tags = '') {
+        console.log(`📤 Uploading replay to YouTube: ${title}`);
+
+        try {
+            const replay = await this.saveReplay();
+            this._reportConvertProgress('done', 100);
+
+            const formData = new FormData();
+            formData.append('jobId', replay.id);
+            return await this._postToYouTube(formData, { title, description, privacy, tags });
 
         } catch (error) {
             console.error('YouTube upload error:', error);
@@ -313,6 +1329,37 @@ class VideoRecorder {
             };
         }
     }
+
+    /**
+     * Send a video (file or finished job) to /api/youtube/upload
+     */
+    async _postToYouTube(formData, { title, description, privacy, tags }) {
+        formData.append('title', title);
+        formData.append('description', description);
+        formData.append('privacy', privacy);
+        formData.append('tags', tags);
+
+        // Upload to YouTube via our API
+        const response = await fetch('/api/youtube/upload', {
+            method: 'POST',
+            body: formData,
+            credentials: 'include'
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || result.error || 'Upload failed');
+        }
+
+        console.log(`✅ YouTube upload complete: ${result.videoUrl}`);
+        return {
+            success: true,
+            videoId: result.videoId,
+            videoUrl: result.videoUrl,
+            title: result.title
+        };
+    }
 }
 
 // Create global instance
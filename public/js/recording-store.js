@@ -0,0 +1,205 @@
+/**
+ * Recording Store
+ * Persists MediaRecorder chunks to IndexedDB as they arrive, so a crash or
+ * refresh mid-lecture doesn't lose the recording and long recordings don't
+ * have to fit in memory
+ */
+
+class RecordingStore {
+    constructor() {
+        this.dbName = 'streamteach-recordings';
+        this.dbVersion = 1;
+        this.db = null;
+    }
+
+    /**
+     * Check if IndexedDB is available
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the database
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // One record per recording session
+                db.createObjectStore('sessions', { keyPath: 'id' });
+                // Chunks keyed by [sessionId, index] so they come back in order
+                db.createObjectStore('chunks', { keyPath: ['sessionId', 'index'] });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Ask the browser not to evict recordings under storage pressure
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => { });
+        }
+
+        return this.db;
+    }
+
+    /**
+     * Start a new recording session
+     */
+    async createSession({ mimeType, source = null }) {
+        const session = {
+            id: crypto.randomUUID(),
+            mimeType,
+            source, // ISO source (screen, webcam, ...), null for the recording itself
+            status: 'recording',
+            startTime: Date.now(),
+            lastChunkTime: null,
+            duration: 0,
+            markers: [], // Pause points, seconds of recorded time
+            chunkCount: 0,
+            size: 0
+        };
+
+        await this._transaction(['sessions'], 'readwrite', (tx) => {
+            tx.objectStore('sessions').put(session);
+        });
+
+        console.log('💾 Recording session created:', session.id);
+        return session;
+    }
+
+    /**
+     * Append a chunk to a session
+     */
+    async appendChunk(sessionId, index, blob) {
+        await this._transaction(['sessions', 'chunks'], 'readwrite', (tx) => {
+            const sessions = tx.objectStore('sessions');
+            tx.objectStore('chunks').put({ sessionId, index, blob });
+
+            // Keep the session's bookkeeping in step with its chunks
+            sessions.get(sessionId).onsuccess = (event) => {
+                const session = event.target.result;
+                if (!session) return;
+                session.chunkCount = index + 1;
+                session.size += blob.size;
+                session.lastChunkTime = Date.now();
+                sessions.put(session);
+            };
+        });
+    }
+
+    /**
+     * Mark a session as finished
+     */
+    async finishSession(sessionId, { duration, markers = [] }) {
+        await this.updateSession(sessionId, { status: 'complete', duration, markers });
+    }
+
+    /**
+     * Look up a session
+     */
+    async getSession(sessionId) {
+        let session = null;
+        await this._transaction(['sessions'], 'readonly', (tx) => {
+            tx.objectStore('sessions').get(sessionId).onsuccess = (event) => {
+                session = event.target.result || null;
+            };
+        });
+        return session;
+    }
+
+    /**
+     * List sessions, newest first (optionally only with a given status)
+     */
+    async listSessions(status = null) {
+        let sessions = [];
+        await this._transaction(['sessions'], 'readonly', (tx) => {
+            tx.objectStore('sessions').getAll().onsuccess = (event) => {
+                sessions = event.target.result;
+            };
+        });
+
+        return sessions
+            .filter(session => !status || session.status === status)
+            .sort((a, b) => b.startTime - a.startTime);
+    }
+
+    /**
+     * Rebuild a session's recording as one Blob
+     * Stored blobs are backed by the browser's disk cache, so this doesn't
+     * pull the whole recording into memory
+     */
+    async getBlob(sessionId) {
+        const session = await this.getSession(sessionId);
+        if (!session) return null;
+
+        let chunks = [];
+        await this._transaction(['chunks'], 'readonly', (tx) => {
+            const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+            tx.objectStore('chunks').getAll(range).onsuccess = (event) => {
+                chunks = event.target.result;
+            };
+        });
+
+        if (chunks.length === 0) return null;
+        return new Blob(chunks.map(chunk => chunk.blob), { type: session.mimeType });
+    }
+
+    /**
+     * Read one chunk back (null if it isn't stored)
+     */
+    async getChunk(sessionId, index) {
+        let chunk = null;
+        await this._transaction(['chunks'], 'readonly', (tx) => {
+            tx.objectStore('chunks').get([sessionId, index]).onsuccess = (event) => {
+                chunk = event.target.result || null;
+            };
+        });
+        return chunk ? chunk.blob : null;
+    }
+
+    /**
+     * Delete a session and its chunks
+     */
+    async deleteSession(sessionId) {
+        await this._transaction(['sessions', 'chunks'], 'readwrite', (tx) => {
+            tx.objectStore('sessions').delete(sessionId);
+            tx.objectStore('chunks').delete(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]));
+        });
+        console.log('🗑️ Recording session deleted:', sessionId);
+    }
+
+    /**
+     * Merge changes into a session record
+     */
+    async updateSession(sessionId, changes) {
+        await this._transaction(['sessions'], 'readwrite', (tx) => {
+            const sessions = tx.objectStore('sessions');
+            sessions.get(sessionId).onsuccess = (event) => {
+                const session = event.target.result;
+                if (session) sessions.put({ ...session, ...changes });
+            };
+        });
+    }
+
+    /**
+     * Run requests in one transaction and wait for it to commit
+     */
+    async _transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            work(tx);
+        });
+    }
+}
+
+// Create global instance
+const recordingStore = new RecordingStore();
@@ -0,0 +1,277 @@
+/**
+ * Scene Manager
+ * Named compositor layouts ("Slides + cam", "Cam only", ...) that can be
+ * switched while live or recording, with the transition chosen in the studio.
+ * Scenes are saved per user on the server (see routes/scenes.js); until the
+ * first save the built-in ones from VideoCompositor.getDefaultScenes are used.
+ */
+
+// What the server will store (see config/scenes.js and the /api/scenes limit in server.js)
+const SCENE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'];
+const MAX_SCENE_IMAGE = 1.5 * 1024 * 1024; // Data URL length, about 1 MB of image
+const MAX_SCENES_SIZE = 15 * 1024 * 1024;  // Saved JSON, leaving room under the 16 MB limit
+
+class SceneManager {
+    constructor(compositor) {
+        this.compositor = compositor;
+        this.scenes = VideoCompositor.getDefaultScenes();
+        this.activeSceneId = this.scenes[0].id;
+
+        // Changes are saved shortly after they stop coming (e.g. while dragging)
+        this.saveDelay = 1000;
+        this.saveTimer = null;
+        this.canSave = true; // False when not signed in
+
+        // Callbacks
+        this.onChange = null; // (scenes, activeSceneId)
+        this.onError = null;  // (message) saving failed
+    }
+
+    /**
+     * Load the user's saved scenes and show the one they used last
+     */
+    async load() {
+        try {
+            const response = await fetch('/api/scenes', { credentials: 'include' });
+            if (response.status === 401) {
+                // Not signed in: the defaults still work, they just aren't saved
+                this.canSave = false;
+            } else {
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.message || result.error || 'Could not load scenes');
+                }
+
+                if (result.transition) {
+                    this.compositor.setTransition(result.transition.type, result.transition.duration);
+                }
+                if (result.scenes && result.scenes.length > 0) {
+                    this.scenes = result.scenes;
+                    this.activeSceneId = this.getScene(result.activeSceneId) ? result.activeSceneId : this.scenes[0].id;
+                    console.log(`🎬 Loaded ${this.scenes.length} saved scene(s)`);
+                }
+            }
+
+        } catch (error) {
+            console.warn('Could not load saved scenes, using the defaults:', error.message);
+        }
+
+        this.compositor.setScene(this.getActiveScene());
+        this._notify();
+    }
+
+    /**
+     * All scenes, in sidebar order
+     */
+    getScenes() {
+        return this.scenes;
+    }
+
+    /**
+     * Find a scene by ID
+     */
+    getScene(sceneId) {
+        return this.scenes.find(scene => scene.id === sceneId) || null;
+    }
+
+    /**
+     * The scene on air
+     */
+    getActiveScene() {
+        return this.getScene(this.activeSceneId);
+    }
+
+    /**
+     * Switch the compositor to a scene
+     */
+    activate(sceneId) {
+        const scene = this.getScene(sceneId);
+        if (!scene) return false;
+
+        this.compositor.setScene(scene);
+        this.activeSceneId = scene.id;
+        this.save();
+        this._notify();
+        return true;
+    }
+
+    /**
+     * Rearrange the active scene with a layout preset (see VideoCompositor.setLayout)
+     */
+    setLayout(layout) {
+        if (!this.compositor.setLayout(layout)) return false;
+        this.save();
+        this._notify();
+        return true;
+    }
+
+    /**
+     * Change the transition used when switching scenes
+     */
+    setTransition(type, duration) {
+        if (!this.compositor.setTransition(type, duration)) return false;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Save the current scene (as arranged right now) under a new name and switch to it
+     * Throws when the copy would make the scenes too large to save
+     */
+    addScene(name) {
+        this.compositor.syncOverlayLayer();
+
+        const scene = {
+            ...JSON.parse(JSON.stringify(this.getActiveScene())),
+            id: crypto.randomUUID(),
+            name
+        };
+        this._checkSize(scene);
+        this.scenes.push(scene);
+        return this.activate(scene.id);
+    }
+
+    /**
+     * Delete a scene (the last one can't go)
+     */
+    removeScene(sceneId) {
+        if (this.scenes.length <= 1 || !this.getScene(sceneId)) return false;
+
+        this.scenes = this.scenes.filter(scene => scene.id !== sceneId);
+        if (this.activeSceneId === sceneId) {
+            return this.activate(this.scenes[0].id);
+        }
+
+        this.save();
+        this._notify();
+        return true;
+    }
+
+    /**
+     * Add a layer (text, lower third, timer, ...) on top of the active scene
+     * Throws when the server wouldn't store it (image type or size, total size)
+     */
+    addLayer(layer) {
+        if (layer.type === 'image') {
+            const type = /^data:([^;,]+)/.exec(layer.src || '');
+            if (!type || !SCENE_IMAGE_TYPES.includes(type[1])) {
+                throw new Error('Images must be PNG, JPEG, GIF, WebP or SVG');
+            }
+            if (layer.src.length > MAX_SCENE_IMAGE) {
+                throw new Error('Images must be 1 MB or smaller');
+            }
+        }
+
+        const added = { ...layer, id: crypto.randomUUID() };
+        this._checkSize(added);
+        this.getActiveScene().layers.push(added);
+        this.save();
+        this._notify();
+        return added;
+    }
+
+    /**
+     * Find a layer of the active scene by ID
+     */
+    getLayer(layerId) {
+        return this.getActiveScene().layers.find(layer => layer.id === layerId) || null;
+    }
+
+    /**
+     * Change a layer of the active scene; shows up in the next frame
+     */
+    updateLayer(layerId, changes) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return null;
+
+        Object.assign(layer, changes);
+        this.save();
+        return layer;
+    }
+
+    /**
+     * Remove a layer from the active scene
+     */
+    removeLayer(layerId) {
+        const scene = this.getActiveScene();
+        if (!this.getLayer(layerId)) return false;
+
+        scene.layers = scene.layers.filter(layer => layer.id !== layerId);
+        this.save();
+        this._notify();
+        return true;
+    }
+
+    /**
+     * Save the scenes to the server (debounced)
+     */
+    save() {
+        if (!this.canSave) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this._save(), this.saveDelay);
+    }
+
+    /**
+     * Throw if the scenes plus `addition` would be more than the server accepts
+     */
+    _checkSize(addition) {
+        const size = JSON.stringify(this.scenes).length + JSON.stringify(addition).length;
+        if (size > MAX_SCENES_SIZE) {
+            throw new Error('Scenes are too large to save, remove some images first');
+        }
+    }
+
+    /**
+     * PUT the scenes, including where the webcam overlay was dragged to
+     */
+    async _save() {
+        this.compositor.syncOverlayLayer();
+
+        try {
+            const response = await fetch('/api/scenes', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({
+                    scenes: this.scenes,
+                    activeSceneId: this.activeSceneId,
+                    transition: this.compositor.transition
+                })
+            });
+
+            if (response.status === 401) {
+                this.canSave = false;
+                return;
+            }
+            if (response.status === 413) {
+                throw new Error('Scenes are too large to save, try smaller images');
+            }
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error || 'Could not save scenes');
+            }
+            if (result.droppedLayers > 0) {
+                throw new Error(`${result.droppedLayers} layer(s) could not be drawn and were not saved`);
+            }
+
+        } catch (error) {
+            console.warn('Could not save scenes:', error.message);
+            if (this.onError) {
+                this.onError(error.message);
+            }
+        }
+    }
+
+    /**
+     * Notify listeners about changes to the scene list
+     */
+    _notify() {
+        if (this.onChange) {
+            this.onChange(this.scenes, this.activeSceneId);
+        }
+    }
+}
+
+// Create global instance
+const sceneManager = new SceneManager(videoCompositor);
@@ -3,6 +3,11 @@
  * Handles client-side streaming via Socket.io
  */
 
+// Backpressure handling: never go below this bitrate, and wait between drops
+const MIN_STREAM_BITRATE = 800; // kbps
+const BITRATE_DROP_COOLDOWN = 10000; // ms
+const BACKPRESSURE_MAX_PAUSE = 10000; // ms; carry on even if the server never reports it caught up
+
 class StreamClient {
     constructor() {
         this.socket = null;
@@ -10,11 +15,27 @@ class StreamClient {
         this.isStreaming = false;
         this.startTime = null;
         this.streamConfig = null;
+        this.sessionId = null; // Server-side stream session, used to resume after a reconnect
+        this.destinations = new Map(); // id -> { id, name, status, message }
+        this.reconnecting = new Map(); // target -> latest stream-reconnecting event
+        this.stats = null; // Latest encoder telemetry from the server
+        this.encoder = null; // Encoding profile the server is using
+
+        // MediaRecorder input, kept so the recorder can be restarted mid-stream
+        this.combinedStream = null;
+        this.mimeType = null;
+        this.recorderBitrate = null;   // kbps the next recorder is created with
+        this.lastBitrateDrop = 0;
+        this.backpressureTimer = null; // Set while the recorder is paused for the server to catch up
 
         // Callbacks
         this.onStatusChange = null;
         this.onError = null;
         this.onStats = null;
+        this.onDestinationStatus = null;
+        this.onDestinationError = null;
+        this.onBackpressure = null;
+        this.onEncoder = null;
     }
 
     /**
@@ -32,12 +53,47 @@ class StreamClient {
         // Handle connection events
         this.socket.on('connect', () => {
             console.log('🔌 Connected to streaming server');
+
+            // Reconnected mid-stream: re-attach to the same broadcast
+            if (this.isStreaming && this.sessionId) {
+                console.log('🔗 Resuming stream session', this.sessionId);
+                this.socket.emit('resume-stream', { sessionId: this.sessionId });
+            }
         });
 
         this.socket.on('disconnect', () => {
             console.log('🔌 Disconnected from streaming server');
-            if (this.isStreaming) {
+            if (!this.isStreaming) return;
+
+            if (!this.sessionId) {
                 this._handleStreamEnd('Disconnected from server');
+                return;
+            }
+
+            // The server keeps the stream alive for a grace period; stop recording
+            // until we are back, then start over with a fresh WebM header
+            const recorder = this.mediaRecorder;
+            this.mediaRecorder = null;
+            if (recorder && recorder.state !== 'inactive') {
+                recorder.stop();
+            }
+
+            this.reconnecting.set('connection', { target: 'connection', name: 'Server connection' });
+            if (this.onStatusChange) {
+                this.onStatusChange('reconnecting', 'Connection lost, reconnecting...');
+            }
+        });
+
+        this.socket.on('stream-resumed', (data) => {
+            if (!this.isStreaming) return;
+
+            console.log('🔗 Stream resumed:', data.sessionId);
+            this._startRecorder();
+            (data.destinations || []).forEach(dest => this._updateDestination(dest));
+
+            this.reconnecting.delete('connection');
+            if (this.onStatusChange) {
+                this.onStatusChange('recovered', 'Reconnected, stream resumed');
             }
         });
 
@@ -45,11 +101,19 @@ class StreamClient {
         this.socket.on('stream-started', (data) => {
             console.log('🔴 Stream started:', data);
             this.startTime = Date.now();
+            this.sessionId = data.sessionId || null;
+            (data.destinations || []).forEach(dest => this._updateDestination(dest));
             if (this.onStatusChange) {
                 this.onStatusChange('live', 'Stream is live!');
             }
+            if (data.encoder) {
+                this._updateEncoder(data.encoder);
+            }
         });
 
+        // Server switched encoding profile (hardware encoder unavailable)
+        this.socket.on('stream-encoder', (data) => this._updateEncoder(data));
+
         this.socket.on('stream-stopped', (data) => {
             console.log('⏹️ Stream stopped:', data);
             this._handleStreamEnd('Stream ended');
@@ -63,6 +127,58 @@ class StreamClient {
             this._handleStreamEnd(data.message);
         });
 
+        // Supervised mode: the server is respawning the encoder or an ingest
+        this.socket.on('stream-reconnecting', (data) => {
+            console.warn(`🔄 Reconnecting ${data.name} (attempt ${data.attempt}, ${data.delay}ms)`);
+            this.reconnecting.set(data.target, data);
+            if (this.onStatusChange) {
+                this.onStatusChange('reconnecting', `${data.name}: reconnecting (attempt ${data.attempt})...`);
+            }
+        });
+
+        this.socket.on('stream-recovered', (data) => {
+            console.log(`✅ ${data.name} recovered after ${data.downtime}s`);
+            this.reconnecting.delete(data.target);
+            if (this.onStatusChange) {
+                this.onStatusChange('recovered', `${data.name} recovered after ${data.downtime}s`);
+            }
+        });
+
+        // Server input queue is filling up (or has drained again): stop sending until it catches up
+        this.socket.on('stream-backpressure', (data) => {
+            console.warn(`📦 Server queue ${data.level}: ${data.occupancy}% full`);
+            if (data.level === 'high') {
+                this._lowerBitrate();
+                this._pauseForBackpressure();
+            } else {
+                this._resumeAfterBackpressure();
+            }
+            if (this.onBackpressure) {
+                this.onBackpressure(data.level, data);
+            }
+        });
+
+        // Encoder telemetry (fps, bitrate, speed, dropped frames, queue)
+        this.socket.on('stream-stats', (data) => {
+            this.stats = data;
+            if (this.onStats) {
+                this.onStats(data);
+            }
+        });
+
+        this.socket.on('destination-status', (data) => {
+            console.log(`📤 Destination "${data.name}": ${data.status}`, data.message || '');
+            this._updateDestination(data);
+        });
+
+        // A destination request was refused (the stream keeps running)
+        this.socket.on('destination-error', (data) => {
+            console.warn('⚠️ Destination error:', data.message);
+            if (this.onDestinationError) {
+                this.onDestinationError(data.message, data);
+            }
+        });
+
         console.log('📡 StreamClient initialized');
         return true;
     }
@@ -84,16 +200,23 @@ class StreamClient {
             return false;
         }
 
-        const { rtmpUrl, streamKey, width, height, fps, bitrate } = config;
+        const { width, height, fps, bitrate } = config;
+
+        // Accept a destination list or a single rtmpUrl/streamKey pair
+        const destinations = (config.destinations || [{ url: config.rtmpUrl, streamKey: config.streamKey }])
+            .filter(dest => dest && (dest.url || dest.rtmpUrl));
 
-        if (!rtmpUrl) {
+        if (destinations.length === 0 && !config.hls && !config.archive) {
             if (this.onError) {
-                this.onError('RTMP URL is required');
+                this.onError('Ingest URL is required');
             }
             return false;
         }
 
         this.streamConfig = config;
+        this.destinations.clear();
+        this.reconnecting.clear();
+        this.stats = null;
 
         // Combine video and audio streams
         let combinedStream;
@@ -114,41 +237,28 @@ class StreamClient {
             return false;
         }
 
-        try {
-            this.mediaRecorder = new MediaRecorder(combinedStream, {
-                mimeType: mimeType,
-                videoBitsPerSecond: (config.bitrate || 4500) * 1000
-            });
-
-            // Send video chunks to server
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data && event.data.size > 0 && this.isStreaming) {
-                    event.data.arrayBuffer().then(buffer => {
-                        this.socket.emit('stream-data', buffer);
-                    });
-                }
-            };
-
-            this.mediaRecorder.onerror = (event) => {
-                console.error('MediaRecorder error:', event.error);
-                if (this.onError) {
-                    this.onError('Recording error: ' + event.error.message);
-                }
-            };
+        this.combinedStream = combinedStream;
+        this.mimeType = mimeType;
+        this.recorderBitrate = bitrate || 4500;
+        this.lastBitrateDrop = 0;
 
+        try {
             // Tell server to start stream
             this.socket.emit('start-stream', {
-                rtmpUrl,
-                streamKey,
+                destinations,
+                profile: config.profile,
+                hls: !!config.hls,
+                archive: !!config.archive,
+                archiveFormat: config.archiveFormat,
+                title: config.title,
                 width: width || 1920,
                 height: height || 1080,
                 fps: fps || 30,
                 bitrate: bitrate || 4500
             });
 
-            // Start recording with small timeslice for low latency
-            this.mediaRecorder.start(1000); // Send data every second
             this.isStreaming = true;
+            this._startRecorder();
             this.startTime = Date.now();
 
             if (this.onStatusChange) {
@@ -160,6 +270,10 @@ class StreamClient {
 
         } catch (error) {
             console.error('Failed to start streaming:', error);
+            if (this.isStreaming) {
+                this.isStreaming = false;
+                this.socket.emit('stop-stream');
+            }
             if (this.onError) {
                 this.onError('Failed to start streaming: ' + error.message);
             }
@@ -167,6 +281,89 @@ class StreamClient {
         }
     }
 
+    /**
+     * Create and start a MediaRecorder that sends its chunks to the server
+     * Each recorder produces a new WebM file, which the server detects by its header
+     */
+    _startRecorder() {
+        const recorder = new MediaRecorder(this.combinedStream, {
+            mimeType: this.mimeType,
+            videoBitsPerSecond: this.recorderBitrate * 1000
+        });
+
+        // Send video chunks to server (ignore late chunks from a replaced recorder)
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0 && this.isStreaming && this.mediaRecorder === recorder &&
+                this.socket.connected) {
+                event.data.arrayBuffer().then(buffer => {
+                    this.socket.emit('stream-data', buffer);
+                });
+            }
+        };
+
+        recorder.onerror = (event) => {
+            console.error('MediaRecorder error:', event.error);
+            if (this.onError) {
+                this.onError('Recording error: ' + event.error.message);
+            }
+        };
+
+        this.mediaRecorder = recorder;
+        this._resumeAfterBackpressure();
+
+        // Start recording with small timeslice for low latency
+        recorder.start(1000); // Send data every second
+        return recorder;
+    }
+
+    /**
+     * Lower the bitrate for the next recorder (after a reconnect)
+     * The running recorder is left alone: restarting it would send a new WebM
+     * header, and the server answers that by respawning its encoder
+     */
+    _lowerBitrate() {
+        if (!this.isStreaming || !this.mediaRecorder) return;
+
+        // Give the previous change time to take effect
+        if (Date.now() - this.lastBitrateDrop < BITRATE_DROP_COOLDOWN) return;
+
+        const newBitrate = Math.max(MIN_STREAM_BITRATE, Math.round(this.recorderBitrate * 0.7));
+        if (newBitrate >= this.recorderBitrate) return;
+
+        console.warn(`📉 Lowering stream bitrate from the next recorder restart: ${this.recorderBitrate}k -> ${newBitrate}k`);
+        this.recorderBitrate = newBitrate;
+        this.lastBitrateDrop = Date.now();
+    }
+
+    /**
+     * Pause the recorder while the server works through its queue
+     * Pausing keeps the same WebM file going, so the server's encoder carries on
+     */
+    _pauseForBackpressure() {
+        const recorder = this.mediaRecorder;
+        if (!this.isStreaming || !recorder || recorder.state !== 'recording') return;
+
+        console.warn('⏸️ Pausing stream data until the server catches up');
+        recorder.pause();
+        this.backpressureTimer = setTimeout(() => this._resumeAfterBackpressure(), BACKPRESSURE_MAX_PAUSE);
+    }
+
+    /**
+     * Resume a recorder paused by _pauseForBackpressure
+     */
+    _resumeAfterBackpressure() {
+        if (!this.backpressureTimer) return;
+
+        clearTimeout(this.backpressureTimer);
+        this.backpressureTimer = null;
+
+        const recorder = this.mediaRecorder;
+        if (recorder && recorder.state === 'paused') {
+            console.log('▶️ Server caught up, resuming stream data');
+            recorder.resume();
+        }
+    }
+
     /**
      * Stop streaming
      */
@@ -182,20 +379,90 @@ class StreamClient {
             this.mediaRecorder.stop();
         }
 
-        // Tell server to stop
+        // Tell server to stop (the session ID lets it find the stream after a reconnect)
         if (this.socket) {
-            this.socket.emit('stop-stream');
+            this.socket.emit('stop-stream', { sessionId: this.sessionId });
         }
 
         this._handleStreamEnd('Stream stopped by user');
     }
 
+    /**
+     * Start (or retry) a single destination while live
+     */
+    startDestination(id) {
+        if (this.isStreaming && this.socket) {
+            this.socket.emit('start-destination', id);
+        }
+    }
+
+    /**
+     * Stop a single destination while keeping the others live
+     */
+    stopDestination(id) {
+        if (this.isStreaming && this.socket) {
+            this.socket.emit('stop-destination', id);
+        }
+    }
+
+    /**
+     * Check whether the server is still recovering part of the stream
+     */
+    isReconnecting() {
+        return this.reconnecting.size > 0;
+    }
+
+    /**
+     * Get the current status of every destination
+     */
+    getDestinations() {
+        return [...this.destinations.values()];
+    }
+
+    /**
+     * Track the server's encoding profile
+     */
+    _updateEncoder(encoder) {
+        this.encoder = encoder;
+        if (encoder.fallbackFrom) {
+            console.warn(`⚠️ ${encoder.message}`);
+        }
+        if (this.onEncoder) {
+            this.onEncoder(encoder);
+        }
+    }
+
+    /**
+     * Store a destination status update and notify listeners
+     */
+    _updateDestination(data) {
+        const destination = {
+            id: data.id,
+            name: data.name,
+            status: data.status,
+            message: data.message || null
+        };
+        this.destinations.set(destination.id, destination);
+
+        if (this.onDestinationStatus) {
+            this.onDestinationStatus(destination, this.getDestinations());
+        }
+    }
+
     /**
      * Handle stream end
      */
     _handleStreamEnd(reason) {
         this.isStreaming = false;
+        this.sessionId = null;
+        clearTimeout(this.backpressureTimer);
+        this.backpressureTimer = null;
+
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
         this.mediaRecorder = null;
+        this.reconnecting.clear();
 
         if (this.onStatusChange) {
             this.onStatusChange('offline', reason);
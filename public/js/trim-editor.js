@@ -0,0 +1,595 @@
+/**
+ * Trim Editor
+ * Review panel for a finished recording: scrubbable preview, thumbnail and
+ * waveform strip, draggable in/out handles and cut regions. Produces the
+ * edit list that /api/edit renders.
+ */
+
+class TrimEditor {
+    constructor() {
+        this.container = null;
+        this.video = null;
+        this.timeline = null;
+        this.canvas = null;
+        this.overlay = null;
+
+        this.blobUrl = null;
+        this.duration = 0;
+        this.inPoint = 0;
+        this.outPoint = 0;
+        this.cuts = []; // [{ start, end }] in seconds
+
+        // Timeline strip contents
+        this.thumbnails = []; // [{ time, image }]
+        this.peaks = null;    // Float32Array, one peak per canvas column
+        this.loadToken = 0;   // Bumped on every open() so stale renders stop
+
+        this.drag = null;
+        this.animationId = null;
+
+        // Layout
+        this.thumbHeight = 56;
+        this.waveHeight = 36;
+        this.minLength = 0.5;       // Shortest clip / cut, in seconds
+        this.maxWaveformBytes = 300 * 1024 * 1024; // Decoding audio holds it all in memory
+
+        // Callbacks
+        this.onChange = null; // (editList)
+    }
+
+    /**
+     * Initialize with container element
+     */
+    init(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error('TrimEditor: Container not found');
+            return this;
+        }
+
+        this.container.innerHTML = `
+            <div class="trim-editor">
+                <video class="trim-preview" playsinline></video>
+                <div class="trim-timeline">
+                    <canvas class="trim-strip"></canvas>
+                    <div class="trim-overlay">
+                        <div class="trim-excluded trim-excluded-start"></div>
+                        <div class="trim-excluded trim-excluded-end"></div>
+                        <div class="trim-cuts"></div>
+                        <div class="trim-handle trim-handle-in" data-drag="in" title="Drag to set the start"></div>
+                        <div class="trim-handle trim-handle-out" data-drag="out" title="Drag to set the end"></div>
+                        <div class="trim-playhead"></div>
+                    </div>
+                </div>
+                <div class="trim-controls">
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="play">▶️</button>
+                    <span class="trim-time">00:00 / 00:00</span>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="in" title="Start the recording here">[ Set in</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="out" title="End the recording here">Set out ]</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="cut" title="Remove a section at the playhead">✂️ Cut</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="reset">↺ Reset</button>
+                    <span class="trim-summary"></span>
+                </div>
+            </div>
+        `;
+
+        this.video = this.container.querySelector('.trim-preview');
+        this.timeline = this.container.querySelector('.trim-timeline');
+        this.canvas = this.container.querySelector('.trim-strip');
+        this.overlay = this.container.querySelector('.trim-overlay');
+        this.playButton = this.container.querySelector('[data-action="play"]');
+        this.timeLabel = this.container.querySelector('.trim-time');
+        this.summary = this.container.querySelector('.trim-summary');
+
+        this._setupEventListeners();
+
+        console.log('✂️ TrimEditor initialized');
+        return this;
+    }
+
+    /**
+     * Load a recording for review
+     * `duration` (seconds) is needed because MediaRecorder WebM has no duration header;
+     * `keepEdits` reopens the same recording without clearing its edits
+     */
+    async open(blob, duration, keepEdits = false) {
+        this.close();
+
+        const token = ++this.loadToken;
+        this.blobUrl = URL.createObjectURL(blob);
+        this.video.src = this.blobUrl;
+
+        await new Promise(resolve => {
+            this.video.onloadedmetadata = resolve;
+            this.video.onerror = resolve;
+        });
+        if (token !== this.loadToken) return;
+
+        this.duration = Number.isFinite(this.video.duration) ? this.video.duration : duration;
+        if (keepEdits) {
+            this._update();
+        } else {
+            this.reset();
+        }
+        this._resizeCanvas();
+
+        // The strip fills in as thumbnails and audio are decoded
+        this._renderThumbnails(token);
+        this._renderWaveform(blob, token);
+    }
+
+    /**
+     * Stop playback and release the recording
+     */
+    close() {
+        this.loadToken++;
+        this._stopPlayback();
+
+        if (this.video) {
+            this.video.removeAttribute('src');
+            this.video.load();
+        }
+        if (this.blobUrl) {
+            URL.revokeObjectURL(this.blobUrl);
+            this.blobUrl = null;
+        }
+
+        this.thumbnails = [];
+        this.peaks = null;
+    }
+
+    /**
+     * Clear all edits
+     */
+    reset() {
+        this.inPoint = 0;
+        this.outPoint = this.duration;
+        this.cuts = [];
+        this._update();
+    }
+
+    /**
+     * Whether anything was trimmed or cut
+     */
+    hasEdits() {
+        return this.getEditList() !== null;
+    }
+
+    /**
+     * Edit list for /api/edit, or null when the recording is untouched
+     */
+    getEditList() {
+        const round = (time) => Math.round(time * 1000) / 1000;
+
+        const remove = this._getKeptCuts().map(cut => [round(cut.start), round(cut.end)]);
+        const clip = { source: 0 };
+        if (this.inPoint > 0) clip.in = round(this.inPoint);
+        if (this.outPoint < this.duration) clip.out = round(this.outPoint);
+        if (remove.length > 0) clip.remove = remove;
+
+        return Object.keys(clip).length > 1 ? { clips: [clip] } : null;
+    }
+
+    /**
+     * Length of the recording after edits, in seconds
+     */
+    getFinalDuration() {
+        const removed = this._getKeptCuts().reduce((sum, cut) => sum + (cut.end - cut.start), 0);
+        return Math.max(0, this.outPoint - this.inPoint - removed);
+    }
+
+    /**
+     * Cuts clipped to the in/out range, merged where they overlap
+     */
+    _getKeptCuts() {
+        const kept = [];
+        [...this.cuts]
+            .sort((a, b) => a.start - b.start)
+            .forEach(cut => {
+                const start = Math.max(cut.start, this.inPoint);
+                const end = Math.min(cut.end, this.outPoint);
+                if (end <= start) return;
+
+                const last = kept[kept.length - 1];
+                if (last && start <= last.end) {
+                    last.end = Math.max(last.end, end);
+                } else {
+                    kept.push({ start, end });
+                }
+            });
+        return kept;
+    }
+
+    /**
+     * Set up buttons, timeline dragging and playback
+     */
+    _setupEventListeners() {
+        this.container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => this._onAction(button.dataset.action));
+        });
+
+        this.timeline.addEventListener('pointerdown', (e) => this._onPointerDown(e));
+        this.timeline.addEventListener('pointermove', (e) => this._onPointerMove(e));
+        this.timeline.addEventListener('pointerup', (e) => this._onPointerUp(e));
+        this.timeline.addEventListener('pointercancel', (e) => this._onPointerUp(e));
+
+        this.video.addEventListener('play', () => {
+            this.playButton.textContent = '⏸️';
+            this._followPlayback();
+        });
+        this.video.addEventListener('pause', () => {
+            this.playButton.textContent = '▶️';
+            this._stopPlayback();
+        });
+        this.video.addEventListener('seeked', () => this._updatePlayhead());
+
+        window.addEventListener('resize', () => {
+            if (!this.blobUrl) return;
+            this._resizeCanvas();
+        });
+    }
+
+    /**
+     * Control button handler
+     */
+    _onAction(action) {
+        const time = this.video.currentTime;
+
+        switch (action) {
+            case 'play':
+                if (this.video.paused) {
+                    // Start from the in point when outside the kept range
+                    if (time < this.inPoint || time >= this.outPoint - 0.05) {
+                        this.video.currentTime = this.inPoint;
+                    }
+                    this.video.play();
+                } else {
+                    this.video.pause();
+                }
+                return;
+            case 'in':
+                this.inPoint = Math.min(time, this.outPoint - this.minLength);
+                break;
+            case 'out':
+                this.outPoint = Math.max(time, this.inPoint + this.minLength);
+                break;
+            case 'cut': {
+                // Default cut: 5% of the recording (2-10s) starting at the playhead
+                const length = Math.min(10, Math.max(2, this.duration * 0.05));
+                const start = Math.min(time, Math.max(0, this.duration - length));
+                this.cuts.push({ start, end: Math.min(this.duration, start + length) });
+                break;
+            }
+            case 'reset':
+                this.reset();
+                return;
+        }
+
+        this._update();
+    }
+
+    /**
+     * Convert a pointer position to a time on the recording
+     */
+    _timeFromEvent(e) {
+        const rect = this.timeline.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        return ratio * this.duration;
+    }
+
+    /**
+     * Pointer down: grab a handle or cut, otherwise seek
+     */
+    _onPointerDown(e) {
+        if (!this.duration) return;
+
+        const removeButton = e.target.closest('.trim-cut-remove');
+        if (removeButton) {
+            this.cuts.splice(parseInt(removeButton.dataset.index), 1);
+            this._update();
+            return;
+        }
+
+        const time = this._timeFromEvent(e);
+        const target = e.target.closest('[data-drag]');
+        const kind = target ? target.dataset.drag : 'seek';
+        const index = target && target.dataset.index !== undefined ? parseInt(target.dataset.index) : null;
+
+        this.drag = {
+            kind,
+            index,
+            startTime: time,
+            initial: index !== null ? { ...this.cuts[index] } : null
+        };
+        this.timeline.setPointerCapture(e.pointerId);
+
+        if (kind === 'seek') {
+            this._seek(time);
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Pointer move: drag whatever was grabbed
+     */
+    _onPointerMove(e) {
+        if (!this.drag) return;
+
+        const time = this._timeFromEvent(e);
+        const { kind, index, initial } = this.drag;
+        const cut = index !== null ? this.cuts[index] : null;
+
+        switch (kind) {
+            case 'seek':
+                this._seek(time);
+                return;
+            case 'in':
+                this.inPoint = Math.min(time, this.outPoint - this.minLength);
+                this._seek(this.inPoint);
+                break;
+            case 'out':
+                this.outPoint = Math.max(time, this.inPoint + this.minLength);
+                this._seek(this.outPoint);
+                break;
+            case 'cut-start':
+                cut.start = Math.min(time, cut.end - this.minLength);
+                this._seek(cut.start);
+                break;
+            case 'cut-end':
+                cut.end = Math.max(time, cut.start + this.minLength);
+                this._seek(cut.end);
+                break;
+            case 'cut-move': {
+                const length = initial.end - initial.start;
+                const start = Math.min(Math.max(0, initial.start + time - this.drag.startTime), this.duration - length);
+                cut.start = start;
+                cut.end = start + length;
+                break;
+            }
+        }
+
+        this._update();
+    }
+
+    /**
+     * Pointer up: finish dragging
+     */
+    _onPointerUp(e) {
+        if (!this.drag) return;
+        this.drag = null;
+        if (this.timeline.hasPointerCapture(e.pointerId)) {
+            this.timeline.releasePointerCapture(e.pointerId);
+        }
+    }
+
+    /**
+     * Jump the preview to a time
+     */
+    _seek(time) {
+        this.video.currentTime = Math.min(Math.max(0, time), this.duration);
+        this._updatePlayhead();
+    }
+
+    /**
+     * While playing, skip cut regions and stop at the out point
+     */
+    _followPlayback() {
+        this._stopPlayback();
+
+        const tick = () => {
+            const time = this.video.currentTime;
+            const cut = this._getKeptCuts().find(range => time >= range.start && time < range.end - 0.05);
+
+            if (time >= this.outPoint) {
+                this.video.pause();
+                this.video.currentTime = this.outPoint;
+            } else if (cut) {
+                this.video.currentTime = cut.end;
+            }
+
+            this._updatePlayhead();
+            if (!this.video.paused) {
+                this.animationId = requestAnimationFrame(tick);
+            }
+        };
+        this.animationId = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Stop following playback
+     */
+    _stopPlayback() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        if (this.video && !this.video.paused) {
+            this.video.pause();
+        }
+    }
+
+    /**
+     * Redraw the overlay after an edit and notify listeners
+     */
+    _update() {
+        if (!this.overlay) return;
+
+        const percent = (time) => `${(time / (this.duration || 1)) * 100}%`;
+
+        this.overlay.querySelector('.trim-excluded-start').style.width = percent(this.inPoint);
+        this.overlay.querySelector('.trim-excluded-end').style.left = percent(this.outPoint);
+        this.overlay.querySelector('.trim-handle-in').style.left = percent(this.inPoint);
+        this.overlay.querySelector('.trim-handle-out').style.left = percent(this.outPoint);
+
+        this.overlay.querySelector('.trim-cuts').innerHTML = this.cuts.map((cut, index) => `
+            <div class="trim-cut" data-drag="cut-move" data-index="${index}"
+                style="left: ${percent(cut.start)}; width: ${percent(cut.end - cut.start)};">
+                <div class="trim-cut-edge trim-cut-edge-start" data-drag="cut-start" data-index="${index}"></div>
+                <button type="button" class="trim-cut-remove" data-index="${index}" title="Keep this section">✕</button>
+                <div class="trim-cut-edge trim-cut-edge-end" data-drag="cut-end" data-index="${index}"></div>
+            </div>
+        `).join('');
+
+        const cutCount = this._getKeptCuts().length;
+        this.summary.textContent = this.hasEdits()
+            ? `Final length ${this._formatTime(this.getFinalDuration())}` +
+            (cutCount > 0 ? ` · ${cutCount} cut${cutCount > 1 ? 's' : ''}` : '')
+            : 'No edits';
+
+        this._updatePlayhead();
+
+        if (this.onChange) {
+            this.onChange(this.getEditList());
+        }
+    }
+
+    /**
+     * Move the playhead and time label
+     */
+    _updatePlayhead() {
+        if (!this.overlay) return;
+
+        const time = this.video.currentTime || 0;
+        this.overlay.querySelector('.trim-playhead').style.left = `${(time / (this.duration || 1)) * 100}%`;
+        this.timeLabel.textContent = `${this._formatTime(time)} / ${this._formatTime(this.duration)}`;
+    }
+
+    /**
+     * Match the canvas resolution to its on-screen size
+     */
+    _resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.max(1, Math.round(this.timeline.clientWidth * ratio));
+        this.canvas.height = Math.round((this.thumbHeight + this.waveHeight) * ratio);
+        this._drawStrip();
+    }
+
+    /**
+     * Draw thumbnails and waveform onto the strip
+     */
+    _drawStrip() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const thumbHeight = height * this.thumbHeight / (this.thumbHeight + this.waveHeight);
+
+        ctx.fillStyle = '#1a1a25';
+        ctx.fillRect(0, 0, width, height);
+
+        // Thumbnails, each stretched to the next one's start
+        this.thumbnails.forEach((thumb, index) => {
+            const x = (thumb.time / this.duration) * width;
+            const next = this.thumbnails[index + 1];
+            const w = next ? (next.time / this.duration) * width - x : width - x;
+            ctx.drawImage(thumb.image, x, 0, w, thumbHeight);
+        });
+
+        // Waveform, mirrored around its centre line
+        if (this.peaks) {
+            const waveHeight = height - thumbHeight;
+            const middle = thumbHeight + waveHeight / 2;
+            const scale = width / this.peaks.length;
+
+            ctx.fillStyle = '#8b5cf6';
+            this.peaks.forEach((peak, column) => {
+                const h = Math.max(1, peak * waveHeight);
+                ctx.fillRect(column * scale, middle - h / 2, Math.max(1, scale), h);
+            });
+        }
+    }
+
+    /**
+     * Grab evenly spaced frames with a second, hidden video element
+     */
+    async _renderThumbnails(token) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.src = this.blobUrl;
+
+        await new Promise(resolve => {
+            video.onloadeddata = resolve;
+            video.onerror = resolve;
+        });
+
+        const aspect = video.videoWidth && video.videoHeight ? video.videoWidth / video.videoHeight : 16 / 9;
+        const count = Math.max(1, Math.ceil(this.timeline.clientWidth / (this.thumbHeight * aspect)));
+
+        for (let i = 0; i < count; i++) {
+            if (token !== this.loadToken) break;
+
+            const time = (i / count) * this.duration;
+            await new Promise(resolve => {
+                video.onseeked = resolve;
+                video.onerror = resolve;
+                video.currentTime = time;
+            });
+
+            const image = document.createElement('canvas');
+            image.width = Math.round(this.thumbHeight * aspect * 2);
+            image.height = this.thumbHeight * 2;
+            image.getContext('2d').drawImage(video, 0, 0, image.width, image.height);
+
+            this.thumbnails.push({ time, image });
+            this._drawStrip();
+        }
+
+        video.removeAttribute('src');
+        video.load();
+    }
+
+    /**
+     * Decode the recording's audio and reduce it to one peak per canvas column
+     */
+    async _renderWaveform(blob, token) {
+        if (blob.size > this.maxWaveformBytes) {
+            console.log('✂️ Recording too large for a waveform, showing thumbnails only');
+            return;
+        }
+
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        try {
+            const buffer = await audioContext.decodeAudioData(await blob.arrayBuffer());
+            if (token !== this.loadToken) return;
+
+            const samples = buffer.getChannelData(0);
+            const columns = this.canvas.width;
+            const perColumn = Math.max(1, Math.floor(samples.length / columns));
+            const peaks = new Float32Array(columns);
+
+            let loudest = 0;
+            for (let column = 0; column < columns; column++) {
+                let peak = 0;
+                const start = column * perColumn;
+                const end = Math.min(samples.length, start + perColumn);
+                for (let i = start; i < end; i++) {
+                    const value = Math.abs(samples[i]);
+                    if (value > peak) peak = value;
+                }
+                peaks[column] = peak;
+                loudest = Math.max(loudest, peak);
+            }
+
+            // Normalise so quiet microphones still show something
+            this.peaks = loudest > 0 ? peaks.map(peak => peak / loudest) : peaks;
+            this._drawStrip();
+
+        } catch (error) {
+            // Recordings without an audio track end up here
+            console.log('✂️ No waveform:', error.message);
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    /**
+     * Format seconds as MM:SS
+     */
+    _formatTime(seconds) {
+        const total = Math.floor(seconds || 0);
+        const mins = Math.floor(total / 60);
+        const secs = total % 60;
+        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+}
+
+// Create global instance
+const trimEditor = new TrimEditor();
@@ -0,0 +1,260 @@
+/**
+ * Upload Session
+ * Streams a recording to the server chunk by chunk while it is being
+ * recorded (see routes/uploads.js). Appends carry their byte offset, so
+ * after a network drop the session asks the server how far it got and
+ * carries on from there.
+ *
+ * Unconfirmed chunks that are also in IndexedDB (see RecordingStore) are
+ * released from memory and read back from there when they are sent, so a
+ * long stretch offline doesn't pile the recording up in memory.
+ */
+
+class UploadSession {
+    /**
+     * `loadChunk(index)` reads a released chunk back (a Blob, or null if it is gone)
+     */
+    constructor(loadChunk = null) {
+        this.id = null;
+        this.offset = 0;       // Bytes the server has confirmed
+        this.totalBytes = 0;   // Bytes handed to append()
+        this.queue = [];       // { index, size, blob } not yet (fully) confirmed; blob is null once released
+        this.queueStart = 0;   // Byte offset of queue[0]
+        this.loadChunk = loadChunk;
+        this.failed = false;
+        this.completed = false;
+
+        this.pumping = null;
+        this.finishing = false;
+        this.ready = null;
+
+        // Batching and retry settings
+        this.maxBatchBytes = 8 * 1024 * 1024; // 8MB per request
+        this.minRetryDelay = 1000;
+        this.maxRetryDelay = 30000;
+        this.finishRetries = 5; // Once recording has stopped, give up after this many failures
+
+        // Callbacks
+        this.onProgress = null; // (confirmedBytes, totalBytes)
+    }
+
+    /**
+     * Create the session on the server
+     * Chunks appended before this finishes are queued
+     */
+    start() {
+        this.ready = (async () => {
+            try {
+                const response = await fetch('/api/uploads', { method: 'POST', credentials: 'include' });
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.message || result.error || 'Could not start upload');
+                }
+
+                this.id = result.uploadId;
+                console.log('📥 Upload session started:', this.id);
+                this._pump();
+
+            } catch (error) {
+                this._fail(error);
+            }
+        })();
+        return this.ready;
+    }
+
+    /**
+     * Queue a chunk for upload (`index` is its position in the recording)
+     */
+    append(blob, index) {
+        if (this.failed || this.completed) return;
+
+        this.queue.push({ index, size: blob.size, blob });
+        this.totalBytes += blob.size;
+        this._pump();
+    }
+
+    /**
+     * Drop a queued chunk from memory once it is safely stored elsewhere
+     */
+    release(index) {
+        if (!this.loadChunk) return;
+
+        const entry = this.queue.find(chunk => chunk.index === index);
+        if (entry) entry.blob = null;
+    }
+
+    /**
+     * Wait for every chunk to arrive and finalize the upload
+     * Resolves to the upload ID, or null if the upload could not be completed
+     */
+    async finish() {
+        if (this.completed) return this.id;
+
+        this.finishing = true;
+        await this.ready;
+        while (!this.failed && this.offset < this.totalBytes) {
+            await this._pump();
+        }
+        if (this.failed) return null;
+
+        try {
+            const response = await fetch(`/api/uploads/${this.id}/finalize`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ size: this.totalBytes })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error || 'Could not finalize upload');
+            }
+
+            this.completed = true;
+            console.log(`📥 Upload complete: ${this.id} (${(this.totalBytes / (1024 * 1024)).toFixed(1)} MB)`);
+            return this.id;
+
+        } catch (error) {
+            this._fail(error);
+            return null;
+        }
+    }
+
+    /**
+     * Abandon the upload and delete it from the server
+     */
+    abort() {
+        this.failed = true;
+        this.queue = [];
+        if (this.id) {
+            fetch(`/api/uploads/${this.id}`, { method: 'DELETE', credentials: 'include' }).catch(() => { });
+        }
+    }
+
+    /**
+     * Send queued bytes until the server has everything (one loop at a time)
+     */
+    _pump() {
+        if (!this.pumping && this.id && !this.failed) {
+            this.pumping = this._send().finally(() => {
+                this.pumping = null;
+            });
+        }
+        return this.pumping || Promise.resolve();
+    }
+
+    /**
+     * Upload loop: append batches, resync the offset and back off on errors
+     */
+    async _send() {
+        let retryDelay = this.minRetryDelay;
+        let failures = 0;
+
+        while (!this.failed && this.offset < this.totalBytes) {
+            try {
+                const batch = await this._nextBatch();
+                const response = await fetch(`/api/uploads/${this.id}?offset=${this.offset}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    credentials: 'include',
+                    body: batch
+                });
+                const result = await response.json();
+
+                if (response.ok || response.status === 409) {
+                    // 409 means our offset was stale (e.g. a lost response); the server says where to go on
+                    if (response.status === 409 && result.status !== 'uploading') {
+                        throw Object.assign(new Error(result.error), { retry: false });
+                    }
+                    this._confirm(result.offset);
+                    retryDelay = this.minRetryDelay;
+                    failures = 0;
+                } else if (response.status === 404) {
+                    throw new Error('Upload session expired');
+                } else {
+                    throw Object.assign(new Error(result.message || result.error), { retry: response.status >= 500 });
+                }
+
+            } catch (error) {
+                // Only network and server errors are worth retrying
+                if (error.retry === false || error.message === 'Upload session expired') {
+                    this._fail(error);
+                    break;
+                }
+
+                failures++;
+                if (this.finishing && failures >= this.finishRetries) {
+                    this._fail(error);
+                    break;
+                }
+
+                console.warn(`⚠️ Upload interrupted (${error.message}), retrying in ${retryDelay / 1000}s`);
+                await new Promise(resolve => setTimeout(resolve, retryDelay));
+                retryDelay = Math.min(retryDelay * 2, this.maxRetryDelay);
+                await this._resync();
+            }
+        }
+    }
+
+    /**
+     * Everything queued from the confirmed offset, capped at one batch
+     * Released chunks are read back for just this batch
+     */
+    async _nextBatch() {
+        const skip = this.offset - this.queueStart;
+        const blobs = [];
+        let size = -skip;
+
+        for (const entry of this.queue) {
+            if (size >= this.maxBatchBytes) break;
+
+            const blob = entry.blob || await this.loadChunk(entry.index);
+            if (!blob) {
+                throw Object.assign(new Error(`Chunk ${entry.index} is no longer stored`), { retry: false });
+            }
+            blobs.push(blob);
+            size += entry.size;
+        }
+
+        return new Blob(blobs).slice(skip, skip + this.maxBatchBytes);
+    }
+
+    /**
+     * Ask the server how much it has, after an interrupted request
+     */
+    async _resync() {
+        try {
+            const response = await fetch(`/api/uploads/${this.id}`, { credentials: 'include' });
+            if (response.ok) {
+                const result = await response.json();
+                this._confirm(result.offset);
+            }
+        } catch (error) {
+            // Still offline, the next attempt will tell
+        }
+    }
+
+    /**
+     * Record the server's offset and drop chunks it has in full
+     */
+    _confirm(offset) {
+        this.offset = offset;
+        while (this.queue.length > 0 && this.queueStart + this.queue[0].size <= this.offset) {
+            this.queueStart += this.queue[0].size;
+            this.queue.shift();
+        }
+
+        if (this.onProgress) {
+            this.onProgress(this.offset, this.totalBytes);
+        }
+    }
+
+    /**
+     * Give up; the recording is still available locally
+     */
+    _fail(error) {
+        if (this.failed) return;
+        this.failed = true;
+        this.queue = [];
+        console.warn('⚠️ Streaming upload stopped, the recording will be uploaded when it is used:', error.message);
+    }
+}
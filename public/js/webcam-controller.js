@@ -1,6 +1,8 @@
 /**
  * Webcam Overlay Controller
  * Handles drag-to-reposition and resize controls for webcam overlay
+ * (the active scene's overlay layer, see VideoCompositor.setScene), and
+ * the same dragging for text, lower-third, timer and image layers
  */
 
 class WebcamController {
@@ -11,6 +13,7 @@ class WebcamController {
         this.isResizing = false;
         this.dragStart = { x: 0, y: 0 };
         this.initialPos = { x: 0, y: 0 };
+        this.dragLayer = null; // Scene layer being dragged instead of the webcam: { layer, rect }
 
         // UI state
         this.showControls = false;
@@ -26,6 +29,9 @@ class WebcamController {
             { name: 'Large', width: 480, height: 270 }
         ];
         this.currentPreset = 1; // Medium
+
+        // Callbacks
+        this.onChange = null; // Overlay or layer moved or resized (so the scene can be saved)
     }
 
     /**
@@ -60,16 +66,18 @@ class WebcamController {
     }
 
     /**
-     * Get mouse position relative to canvas (accounting for scale)
+     * Get mouse position relative to canvas (accounting for scale, and for
+     * the bars around a canvas of another shape than its element, e.g. 9:16)
      */
     _getCanvasPos(e) {
         const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.compositor.width / rect.width;
-        const scaleY = this.compositor.height / rect.height;
+        const scale = Math.min(rect.width / this.compositor.width, rect.height / this.compositor.height);
+        const offsetX = (rect.width - this.compositor.width * scale) / 2;
+        const offsetY = (rect.height - this.compositor.height * scale) / 2;
 
         return {
-            x: (e.clientX - rect.left) * scaleX,
-            y: (e.clientY - rect.top) * scaleY
+            x: (e.clientX - rect.left - offsetX) / scale,
+            y: (e.clientY - rect.top - offsetY) / scale
         };
     }
 
@@ -94,15 +102,36 @@ class WebcamController {
             pos.y >= handleY && pos.y <= wc.y + wc.height;
     }
 
+    /**
+     * Check if point is on a layer's resize handle
+     */
+    _isOnLayerHandle(pos, rect) {
+        return pos.x >= rect.x + rect.width - this.handleSize && pos.y >= rect.y + rect.height - this.handleSize;
+    }
+
+    /**
+     * Webcam overlay under the point, if it's on screen
+     */
+    _isOverWebcam(pos) {
+        return this.compositor.isOverlayVisible() && this._isInsideWebcam(pos);
+    }
+
     /**
      * Mouse down handler
      */
     _onMouseDown(e) {
-        if (!this.compositor.webcamVideo) return;
-
         const pos = this._getCanvasPos(e);
+        const hit = this._isOverWebcam(pos) ? null : this.compositor.getLayerAt(pos);
 
-        if (this._isOnResizeHandle(pos)) {
+        if (hit) {
+            // Text, lower third, timer or image layer
+            this.dragLayer = { ...hit, fontSize: hit.layer.fontSize };
+            this.isResizing = this._isOnLayerHandle(pos, hit.rect);
+            this.isDragging = !this.isResizing;
+            this.dragStart = pos;
+        } else if (!this.compositor.isOverlayVisible()) {
+            return;
+        } else if (this._isOnResizeHandle(pos)) {
             this.isResizing = true;
             this.isDragging = false;
         } else if (this._isInsideWebcam(pos)) {
@@ -125,10 +154,17 @@ class WebcamController {
      * Mouse move handler
      */
     _onMouseMove(e) {
-        if (!this.compositor.webcamVideo) return;
-
         const pos = this._getCanvasPos(e);
 
+        if (this.dragLayer && (this.isDragging || this.isResizing)) {
+            this._moveLayer(pos);
+            return;
+        }
+        if (!this.compositor.isOverlayVisible() && !this.compositor.getLayerAt(pos)) {
+            this.canvas.style.cursor = 'default';
+            return;
+        }
+
         if (this.isDragging) {
             // Calculate new position
             const dx = pos.x - this.dragStart.x;
@@ -174,7 +210,12 @@ class WebcamController {
 
         } else {
             // Update cursor based on hover state
-            if (this._isOnResizeHandle(pos)) {
+            const hit = this._isOverWebcam(pos) ? null : this.compositor.getLayerAt(pos);
+
+            if (hit) {
+                this.canvas.style.cursor = this._isOnLayerHandle(pos, hit.rect) ? 'nwse-resize' : 'grab';
+                this.hoverWebcam = false;
+            } else if (this._isOnResizeHandle(pos)) {
                 this.canvas.style.cursor = 'nwse-resize';
                 this.hoverWebcam = true;
             } else if (this._isInsideWebcam(pos)) {
@@ -187,12 +228,59 @@ class WebcamController {
         }
     }
 
+    /**
+     * Drag or resize the layer picked up in _onMouseDown
+     * Layer rects are fractions of the canvas; resizing scales the text with the height
+     * and images with the width (keeping their aspect ratio)
+     */
+    _moveLayer(pos) {
+        const { layer, rect, fontSize } = this.dragLayer;
+        const width = this.compositor.width;
+        const height = this.compositor.height;
+
+        if (layer.type === 'image') {
+            // Dragged images leave their corner
+            layer.anchor = 'free';
+            layer.x = rect.x / width;
+            layer.y = rect.y / height;
+
+            if (this.isResizing) {
+                const maxWidth = Math.min(width - rect.x, (height - rect.y) * (layer.aspect || 1));
+                layer.scale = Math.max(this.handleSize * 2, Math.min(maxWidth, pos.x - rect.x)) / width;
+                return;
+            }
+        }
+
+        if (this.isDragging) {
+            const x = Math.max(0, Math.min(width - rect.width, rect.x + pos.x - this.dragStart.x));
+            const y = Math.max(0, Math.min(height - rect.height, rect.y + pos.y - this.dragStart.y));
+            layer.x = x / width;
+            layer.y = y / height;
+        } else {
+            const newWidth = Math.max(this.handleSize * 4, Math.min(width - rect.x, pos.x - rect.x));
+            const newHeight = Math.max(this.handleSize * 2, Math.min(height - rect.y, pos.y - rect.y));
+            layer.width = newWidth / width;
+            layer.height = newHeight / height;
+            if (fontSize) {
+                layer.fontSize = fontSize * newHeight / rect.height;
+            }
+        }
+    }
+
     /**
      * Mouse up handler
      */
     _onMouseUp(e) {
+        if (this.isDragging || this.isResizing) {
+            if (!this.dragLayer) {
+                this._leaveLayout();
+            }
+            this._notifyChange();
+        }
+
         this.isDragging = false;
         this.isResizing = false;
+        this.dragLayer = null;
         this.canvas.style.cursor = 'default';
     }
 
@@ -228,7 +316,7 @@ class WebcamController {
      * Double-click to cycle through size presets
      */
     _onDoubleClick(e) {
-        if (!this.compositor.webcamVideo) return;
+        if (!this.compositor.isOverlayVisible()) return;
 
         const pos = this._getCanvasPos(e);
 
@@ -251,37 +339,19 @@ class WebcamController {
             }
 
             console.log(`📹 Webcam size: ${preset.name} (${preset.width}x${preset.height})`);
+            this._leaveLayout();
+            this._notifyChange();
         }
     }
 
     /**
-     * Set webcam to a corner position
+     * Set webcam to a corner position (one of the compositor's layouts)
      */
     setCorner(corner) {
-        const wc = this.compositor.webcamPosition;
-        const margin = wc.margin;
-
-        switch (corner) {
-            case 'top-left':
-                wc.x = margin;
-                wc.y = margin;
-                break;
-            case 'top-right':
-                wc.x = this.compositor.width - wc.width - margin;
-                wc.y = margin;
-                break;
-            case 'bottom-left':
-                wc.x = margin;
-                wc.y = this.compositor.height - wc.height - margin;
-                break;
-            case 'bottom-right':
-            default:
-                wc.x = this.compositor.width - wc.width - margin;
-                wc.y = this.compositor.height - wc.height - margin;
-                break;
-        }
+        this.compositor.setWebcamPosition(corner);
 
         console.log(`📹 Webcam position: ${corner}`);
+        this._notifyChange();
     }
 
     /**
@@ -290,10 +360,34 @@ class WebcamController {
     setSize(sizeName) {
         const preset = this.sizePresets.find(p => p.name.toLowerCase() === sizeName.toLowerCase());
         if (preset) {
-            this.compositor.webcamPosition.width = preset.width;
-            this.compositor.webcamPosition.height = preset.height;
+            const layout = this.compositor.scene.layout;
+            if (layout && layout.startsWith('corner-')) {
+                // Stays in its corner
+                this.compositor.setWebcamSize(preset.width, preset.height);
+            } else {
+                this.compositor.webcamPosition.width = preset.width;
+                this.compositor.webcamPosition.height = preset.height;
+            }
             this.currentPreset = this.sizePresets.indexOf(preset);
             console.log(`📹 Webcam size: ${preset.name}`);
+            this._notifyChange();
+        }
+    }
+
+    /**
+     * The overlay was placed by hand, so the scene no longer follows a layout preset
+     * (which would move it back when the resolution changes)
+     */
+    _leaveLayout() {
+        delete this.compositor.scene.layout;
+    }
+
+    /**
+     * Notify listeners that the overlay changed
+     */
+    _notifyChange() {
+        if (this.onChange) {
+            this.onChange();
         }
     }
 }
@@ -0,0 +1,92 @@
+/**
+ * Archive Routes
+ * Lists a user's server-side stream recordings, downloads them and sends
+ * them to YouTube
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const archives = require('../config/archives');
+const { isAuthenticated } = require('../middleware/auth');
+const { uploadVideo, sendUploadError } = require('./youtube');
+
+router.use(isAuthenticated);
+
+/**
+ * Resolve the recording file for an archive request (?part=N, default first)
+ */
+function findPart(req, res) {
+    const archive = archives.getArchive(req.user.id, req.params.id);
+    if (!archive) {
+        res.status(404).json({ error: 'Archive not found' });
+        return null;
+    }
+
+    const index = parseInt(req.query.part || req.body?.part) || 0;
+    const filePath = archive.parts[index] ? archives.getPartPath(archive, index) : null;
+    if (!filePath || !fs.existsSync(filePath)) {
+        res.status(404).json({ error: 'Recording file not found' });
+        return null;
+    }
+
+    return { archive, index, filePath };
+}
+
+/**
+ * GET /api/archives
+ * List the current user's archived streams
+ */
+router.get('/', (req, res) => {
+    res.json({
+        archives: archives.listArchives(req.user.id)
+    });
+});
+
+/**
+ * GET /api/archives/:id/download
+ * Download an archived recording
+ */
+router.get('/:id/download', (req, res) => {
+    const found = findPart(req, res);
+    if (!found) return;
+
+    const { archive, index, filePath } = found;
+    const baseName = archive.title.replace(/[^a-zA-Z0-9 _-]+/g, '-').trim() || 'stream';
+    const suffix = archive.parts.length > 1 ? ` (part ${index + 1})` : '';
+
+    res.download(filePath, `${baseName}${suffix}.${archive.format}`);
+});
+
+/**
+ * POST /api/archives/:id/youtube
+ * Upload an archived recording to YouTube
+ */
+router.post('/:id/youtube', async (req, res) => {
+    const found = findPart(req, res);
+    if (!found) return;
+
+    const { archive, filePath } = found;
+    if (archive.status === 'recording') {
+        return res.status(409).json({ error: 'This stream is still being recorded' });
+    }
+
+    const title = req.body.title || archive.title;
+    console.log('📤 Starting YouTube upload of archive:', title);
+
+    try {
+        const result = await uploadVideo(req.user, filePath, { ...req.body, title });
+
+        console.log('✅ YouTube upload complete:', result.videoUrl);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        sendUploadError(res, error);
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 /**
  * Video Conversion Routes
- * Handles WebM to MP4 conversion using FFmpeg
+ * Handles WebM to MP4 conversion using FFmpeg, as background jobs (see job-queue.js)
  */
 
 const express = require('express');
@@ -10,6 +10,8 @@ const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const formats = require('../config/formats');
+const { getUploadPath } = require('./uploads');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -49,107 +51,220 @@ const upload = multer({
 });
 
 /**
- * POST /api/convert
- * Convert uploaded WebM video to MP4
+ * Run a multer middleware, answering its errors as JSON instead of Express's HTML error page
+ * (multer has already removed any files it stored by then)
  */
-router.post('/convert', upload.single('video'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No video file uploaded' });
-    }
+function acceptUploads(middleware) {
+    return (req, res, next) => middleware(req, res, (err) => {
+        if (!err) return next();
 
-    const inputPath = req.file.path;
-    const outputPath = inputPath.replace('.webm', '.mp4');
-    const format = req.body.format || 'mp4';
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: 'File too large', message: `"${err.field}" is larger than the upload limit` });
+        }
+        if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({ error: 'Too many files', message: `Unexpected field or too many files in "${err.field}"` });
+        }
+        res.status(400).json({ error: 'Upload rejected', message: err.message });
+    });
+}
 
-    console.log('🎬 Converting video:', inputPath);
+/**
+ * Parse an FFmpeg "HH:MM:SS.ms" timemark into seconds
+ */
+function parseTimemark(timemark) {
+    const parts = String(timemark || '').split(':').map(parseFloat);
+    if (parts.length !== 3 || parts.some(isNaN)) return 0;
+    return parts[0] * 3600 + parts[1] * 60 + parts[2];
+}
 
+/**
+ * Parse pause markers sent by the client (JSON array of seconds)
+ * Returns them sorted and de-duplicated; anything malformed is dropped
+ */
+function parseMarkers(raw) {
+    let markers;
     try {
-        await new Promise((resolve, reject) => {
-            let command = ffmpeg(inputPath);
-
-            // Apply format-specific settings
-            switch (format) {
-                case 'mp4':
-                    command
-                        .videoCodec('libx264')
-                        .audioCodec('aac')
-                        .outputOptions([
-                            '-preset fast',
-                            '-crf 22',
-                            '-movflags +faststart'
-                        ]);
-                    break;
-                case 'mov':
-                    command
-                        .videoCodec('libx264')
-                        .audioCodec('aac')
-                        .format('mov');
-                    break;
-                case 'avi':
-                    command
-                        .videoCodec('libxvid')
-                        .audioCodec('mp3')
-                        .format('avi');
-                    break;
-                default:
-                    command
-                        .videoCodec('libx264')
-                        .audioCodec('aac');
-            }
-
-            command
-                .on('start', (cmd) => {
-                    console.log('FFmpeg command:', cmd);
-                })
-                .on('progress', (progress) => {
-                    console.log(`Progress: ${progress.percent?.toFixed(1)}%`);
-                })
-                .on('end', () => {
-                    console.log('✅ Conversion complete');
-                    resolve();
-                })
-                .on('error', (err) => {
-                    console.error('❌ Conversion error:', err);
-                    reject(err);
-                })
-                .save(outputPath);
+        markers = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+        return [];
+    }
+    if (!Array.isArray(markers)) return [];
+
+    return [...new Set(markers.filter(time => typeof time === 'number' && Number.isFinite(time) && time > 0))]
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Write pause markers as an FFMETADATA file with one chapter per part
+ * ("Part 1" up to the first pause, "Part 2" up to the next, ...)
+ */
+function writeChapters(metadataPath, markers, duration) {
+    const bounds = [0, ...markers.filter(time => time < duration), duration];
+    const chapters = bounds.slice(0, -1).map((start, index) => [
+        '[CHAPTER]',
+        'TIMEBASE=1/1000',
+        `START=${Math.round(start * 1000)}`,
+        `END=${Math.round(bounds[index + 1] * 1000)}`,
+        `title=Part ${index + 1}`
+    ].join('\n'));
+
+    fs.writeFileSync(metadataPath, [';FFMETADATA1', ...chapters].join('\n') + '\n');
+}
+
+/**
+ * Convert a file with FFmpeg, reporting percent complete
+ * MediaRecorder WebM has no duration in its header, so the client sends it
+ * and progress is worked out from the timemark when FFmpeg can't tell.
+ * Pause markers become chapters when the duration is known.
+ */
+function convertVideo(inputPath, outputPath, format, duration, reportProgress, markers = []) {
+    return new Promise((resolve, reject) => {
+        const command = formats.applyFormat(ffmpeg(inputPath), format);
+
+        const metadataPath = `${outputPath}.chapters.txt`;
+        if (markers.length > 0 && duration > 0) {
+            writeChapters(metadataPath, markers, duration);
+            command.input(metadataPath).outputOptions(['-map_chapters 1']);
+        }
+
+        command
+            .on('start', (cmd) => {
+                console.log('FFmpeg command:', cmd);
+            })
+            .on('progress', (progress) => {
+                const percent = Number.isFinite(progress.percent)
+                    ? progress.percent
+                    : duration > 0 ? (parseTimemark(progress.timemark) / duration) * 100 : 0;
+                reportProgress(percent);
+            })
+            .on('end', () => {
+                console.log('✅ Conversion complete');
+                fs.unlink(metadataPath, () => { });
+                resolve();
+            })
+            .on('error', (err) => {
+                console.error('❌ Conversion error:', err.message);
+                fs.unlink(metadataPath, () => { });
+                reject(err);
+            })
+            .save(outputPath);
+    });
+}
+
+/**
+ * POST /api/convert
+ * Queue a conversion of an uploaded WebM video (a `video` file, or the
+ * `uploadId` of a finished upload session, see uploads.js)
+ * Responds straight away with a job ID; progress arrives as `job-progress`
+ * events on the socket given in `socketId` (if it is signed in as the same user)
+ */
+router.post('/convert', acceptUploads(upload.single('video')), (req, res) => {
+    // Upload sessions are shared and expire on their own, only remove our own file
+    const removeInput = () => {
+        if (req.file) fs.unlink(req.file.path, () => { });
+    };
+
+    const inputPath = req.file ? req.file.path : getUploadPath(req.body.uploadId, req.user);
+    if (!inputPath) {
+        return res.status(req.body.uploadId ? 404 : 400).json({
+            error: req.body.uploadId ? 'Upload not found or not finalized' : 'No video file uploaded'
         });
+    }
 
-        // Send the converted file
-        res.download(outputPath, `recording.${format}`, (err) => {
-            // Clean up temp files
-            fs.unlink(inputPath, () => { });
-            fs.unlink(outputPath, () => { });
+    const format = formats.getFormat(req.body.format || 'mp4');
+
+    if (!format) {
+        removeInput();
+        return res.status(400).json({ error: `Unknown format: ${req.body.format}` });
+    }
 
-            if (err) {
-                console.error('Download error:', err);
-            }
+    if (!formats.isAvailable(format)) {
+        removeInput();
+        return res.status(400).json({
+            error: `${format.name} is not supported by this server's FFmpeg`
         });
+    }
 
-    } catch (error) {
-        // Clean up on error
-        fs.unlink(inputPath, () => { });
+    // Unique per job: one upload session can be converted more than once
+    const outputPath = inputPath.replace(/\.webm$/, `-${Date.now()}-converted.${format.extension}`);
+    const duration = parseFloat(req.body.duration) || 0;
+    const markers = parseMarkers(req.body.markers);
 
-        res.status(500).json({
-            error: 'Conversion failed',
-            message: error.message
+    const jobQueue = req.app.get('jobQueue');
+    const job = jobQueue.add({
+        type: 'convert',
+        socketId: req.body.socketId || null,
+        ownerId: req.user ? req.user.id : null,
+        run: async (job, reportProgress) => {
+            console.log(`🎬 Converting video to ${format.name}:`, inputPath);
+            await convertVideo(inputPath, outputPath, format, duration, reportProgress, markers);
+            return { outputPath, filename: `recording.${format.extension}` };
+        },
+        cleanup: removeInput
+    });
+
+    if (!job) {
+        removeInput();
+        return res.status(503).json({
+            error: 'Conversion queue is full',
+            message: 'Too many conversions are waiting, please try again in a few minutes'
         });
     }
+
+    res.status(202).json({
+        jobId: job.id,
+        statusUrl: `/api/convert/jobs/${job.id}`,
+        ...jobQueue.toJSON(job)
+    });
+});
+
+/**
+ * GET /api/convert/jobs/:id
+ * Status of a conversion job (convert, edit and ISO jobs alike), for the user who queued it
+ */
+router.get('/convert/jobs/:id', (req, res) => {
+    const jobQueue = req.app.get('jobQueue');
+    const job = jobQueue.getOwned(req.params.id, req.user);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+        ...jobQueue.toJSON(job),
+        downloadUrl: job.status === 'done' ? `/api/convert/jobs/${job.id}/download` : null
+    });
+});
+
+/**
+ * GET /api/convert/jobs/:id/download
+ * Download the result of a finished job, for the user who queued it
+ */
+router.get('/convert/jobs/:id/download', (req, res) => {
+    const job = req.app.get('jobQueue').getOwned(req.params.id, req.user);
+    if (!job || job.status !== 'done' || !fs.existsSync(job.outputPath)) {
+        return res.status(404).json({ error: 'Converted file not found' });
+    }
+
+    res.download(job.outputPath, job.filename, (err) => {
+        if (err) {
+            console.error('Download error:', err);
+        }
+    });
 });
 
 /**
  * GET /api/convert/formats
- * Get available output formats
+ * Get available output formats (video and audio-only)
  */
 router.get('/formats', (req, res) => {
     res.json({
-        formats: [
-            { id: 'mp4', name: 'MP4 (H.264)', extension: '.mp4', recommended: true },
-            { id: 'mov', name: 'MOV (QuickTime)', extension: '.mov' },
-            { id: 'webm', name: 'WebM (VP9)', extension: '.webm' },
-            { id: 'avi', name: 'AVI', extension: '.avi' }
-        ]
+        formats: formats.listFormats()
     });
 });
 
 module.exports = router;
+module.exports.upload = upload;
+module.exports.acceptUploads = acceptUploads;
+module.exports.parseTimemark = parseTimemark;
+module.exports.parseMarkers = parseMarkers;
+module.exports.writeChapters = writeChapters;
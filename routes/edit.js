@@ -0,0 +1,441 @@
+/**
+ * Edit Routes
+ * Trims, cuts and concatenates recordings from an edit decision list (EDL).
+ * Renders losslessly (stream copy) when every cut lands on a keyframe and
+ * the sources match, and re-encodes otherwise. Runs as a background job,
+ * so results come back through the same job/download flow as /api/convert.
+ *
+ * EDL (JSON in the `edl` field, sources uploaded as `videos`):
+ *   {
+ *     "clips": [
+ *       { "source": 0, "in": 3.2, "out": 1810, "remove": [[600, 645]] },
+ *       { "source": 1 }
+ *     ],
+ *     "format": "mp4",       // optional, see config/formats.js
+ *     "mode": "auto",        // auto | copy | reencode
+ *     "markers": [95.2]      // optional pause points in source 0, become chapters
+ *   }
+ * Without `clips`, every uploaded file is used whole, in upload order.
+ * An `uploadId` (finished upload session, see uploads.js) becomes source 0,
+ * ahead of any uploaded files.
+ */
+
+const express = require('express');
+const router = express.Router();
+const ffmpeg = require('fluent-ffmpeg');
+const { execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const formats = require('../config/formats');
+const { upload, acceptUploads, parseTimemark, parseMarkers, writeChapters } = require('./convert');
+const { getUploadPath } = require('./uploads');
+
+// Replays arrive as one source per buffer segment (see VideoRecorder.startReplayBuffer)
+const MAX_SOURCES = 10;
+const MAX_CLIPS = 100;
+
+// A cut this close to a keyframe still counts as "on" it
+const KEYFRAME_TOLERANCE = 0.05;
+
+// Segments shorter than this are dropped (e.g. a removed range touching `out`)
+const MIN_SEGMENT = 0.04;
+
+/**
+ * Validate the EDL and flatten it into ordered segments: { source, start, end }
+ * `end` is null for "until the end of the file"
+ */
+function buildSegments(edl, sourceCount) {
+    const clips = Array.isArray(edl.clips) && edl.clips.length > 0
+        ? edl.clips
+        : Array.from({ length: sourceCount }, (_, source) => ({ source }));
+
+    if (clips.length > MAX_CLIPS) {
+        throw new Error(`At most ${MAX_CLIPS} clips are allowed`);
+    }
+
+    const isTime = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    const segments = [];
+
+    clips.forEach((clip, index) => {
+        const label = `Clip ${index + 1}`;
+        const source = clip.source === undefined ? 0 : clip.source;
+
+        if (!Number.isInteger(source) || source < 0 || source >= sourceCount) {
+            throw new Error(`${label}: source ${source} was not uploaded`);
+        }
+
+        const start = clip.in === undefined ? 0 : clip.in;
+        const end = clip.out === undefined || clip.out === null ? null : clip.out;
+        if (!isTime(start) || (end !== null && (!isTime(end) || end <= start))) {
+            throw new Error(`${label}: in/out points must be seconds with in < out`);
+        }
+
+        // Removed ranges split the clip into the pieces that are kept
+        const removed = (Array.isArray(clip.remove) ? clip.remove : [])
+            .map(range => {
+                if (!Array.isArray(range) || !isTime(range[0]) || !isTime(range[1]) || range[1] <= range[0]) {
+                    throw new Error(`${label}: removed ranges must be [start, end] in seconds`);
+                }
+                return [range[0], range[1]];
+            })
+            .sort((a, b) => a[0] - b[0]);
+
+        let cursor = start;
+        removed.forEach(([from, to]) => {
+            if (end !== null && from >= end) return;
+            if (to <= cursor) return;
+            if (from - cursor >= MIN_SEGMENT) {
+                segments.push({ source, start: cursor, end: from });
+            }
+            cursor = Math.max(cursor, to);
+        });
+
+        if (end === null || end - cursor >= MIN_SEGMENT) {
+            segments.push({ source, start: cursor, end });
+        }
+    });
+
+    if (segments.length === 0) {
+        throw new Error('The edit removes everything, nothing is left to render');
+    }
+
+    return segments;
+}
+
+/**
+ * Read duration and stream info for a source
+ */
+function probeSource(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, data) => {
+            if (err) return reject(new Error('Could not read video file: ' + err.message));
+
+            const video = data.streams.find(stream => stream.codec_type === 'video') || null;
+            const audio = data.streams.find(stream => stream.codec_type === 'audio') || null;
+            const duration = parseFloat(data.format.duration);
+
+            resolve({
+                container: data.format.format_name || '',
+                duration: Number.isFinite(duration) ? duration : null,
+                video: video && { codec: video.codec_name, width: video.width, height: video.height },
+                audio: audio && { codec: audio.codec_name, sampleRate: audio.sample_rate, channels: audio.channels }
+            });
+        });
+    });
+}
+
+/**
+ * List the keyframe timestamps of a source's video stream
+ * Only keyframes are decoded, so this is quick even for long lectures
+ */
+function probeKeyframes(filePath) {
+    return new Promise((resolve, reject) => {
+        execFile('ffprobe', [
+            '-v', 'error',
+            '-select_streams', 'v:0',
+            '-skip_frame', 'nokey',
+            '-show_entries', 'frame=best_effort_timestamp_time',
+            '-of', 'csv=p=0',
+            filePath
+        ], { maxBuffer: 16 * 1024 * 1024 }, (error, stdout) => {
+            if (error) return reject(new Error('Could not read keyframes: ' + error.message));
+            resolve(stdout.split('\n').map(parseFloat).filter(Number.isFinite));
+        });
+    });
+}
+
+/**
+ * Whether the segments can be rendered by stream copy
+ * Every cut must start on a keyframe, and concatenated sources must match
+ */
+function canCopy(segments, sources, keyframes) {
+    const first = sources[segments[0].source];
+
+    const sameStreams = segments.every(({ source }) => {
+        const info = sources[source];
+        return !!info.video === !!first.video && !!info.audio === !!first.audio
+            && (!info.video || (info.video.codec === first.video.codec
+                && info.video.width === first.video.width && info.video.height === first.video.height))
+            && (!info.audio || (info.audio.codec === first.audio.codec
+                && info.audio.sampleRate === first.audio.sampleRate && info.audio.channels === first.audio.channels));
+    });
+    if (!sameStreams) return false;
+
+    return segments.every(({ source, start }) => start === 0
+        || !sources[source].video
+        || keyframes[source].some(time => Math.abs(time - start) <= KEYFRAME_TOLERANCE));
+}
+
+/**
+ * Container for a stream-copy render: WebM when the codecs allow it, else MKV
+ */
+function copyExtension(info) {
+    const webmVideo = !info.video || ['vp8', 'vp9', 'av1'].includes(info.video.codec);
+    const webmAudio = !info.audio || ['opus', 'vorbis'].includes(info.audio.codec);
+    return webmVideo && webmAudio ? 'webm' : 'mkv';
+}
+
+/**
+ * Move source-0 pause markers onto the edited timeline
+ * Markers inside removed ranges are dropped
+ */
+function mapMarkers(markers, segments, sources) {
+    const mapped = [];
+    let offset = 0;
+
+    for (const { source, start, end } of segments) {
+        const stop = end !== null ? end : sources[source].duration;
+
+        markers.forEach(time => {
+            if (source === 0 && time > start && (stop === null || time < stop)) {
+                mapped.push(offset + time - start);
+            }
+        });
+
+        // Past a segment of unknown length nothing else can be placed
+        if (stop === null) break;
+        offset += stop - start;
+    }
+
+    return mapped;
+}
+
+/**
+ * Remux a rendered file with pause markers as chapters
+ */
+async function addChapters(outputPath, markers) {
+    const { duration } = await probeSource(outputPath);
+    if (!duration) return;
+
+    const metadataPath = `${outputPath}.chapters.txt`;
+    const taggedPath = outputPath.replace(/(\.\w+)$/, '-chapters$1');
+    writeChapters(metadataPath, markers, duration);
+
+    try {
+        await runCommand(
+            ffmpeg(outputPath).input(metadataPath).outputOptions(['-map 0', '-map_chapters 1', '-c copy']),
+            taggedPath
+        );
+        fs.renameSync(taggedPath, outputPath);
+    } finally {
+        fs.unlink(metadataPath, () => { });
+    }
+}
+
+/**
+ * Run one fluent-ffmpeg command to completion
+ */
+function runCommand(command, outputPath, onProgress = null) {
+    return new Promise((resolve, reject) => {
+        command
+            .on('start', (cmd) => {
+                console.log('FFmpeg command:', cmd);
+            })
+            .on('progress', (progress) => {
+                if (onProgress) onProgress(progress);
+            })
+            .on('end', () => resolve())
+            .on('error', (err) => reject(err))
+            .save(outputPath);
+    });
+}
+
+/**
+ * Lossless render: cut each segment with stream copy, then join with the concat demuxer
+ */
+async function renderCopy(segments, sourcePaths, extension, workDir, outputBase, reportProgress) {
+    const parts = [];
+
+    for (let i = 0; i < segments.length; i++) {
+        const { source, start, end } = segments[i];
+        const partPath = path.join(workDir, `part-${i}.${extension}`);
+
+        const command = ffmpeg(sourcePaths[source])
+            .inputOptions(start > 0 ? [`-ss ${start}`] : [])
+            .outputOptions([
+                '-map 0',
+                '-c copy',
+                '-avoid_negative_ts make_zero',
+                ...(end !== null ? [`-t ${end - start}`] : [])
+            ]);
+
+        await runCommand(command, partPath);
+        parts.push(partPath);
+        reportProgress(((i + 1) / (segments.length + 1)) * 100);
+    }
+
+    const outputPath = `${outputBase}.${extension}`;
+    const listPath = path.join(workDir, 'parts.txt');
+    fs.writeFileSync(listPath, parts.map(part => `file '${part.replace(/'/g, "'\\''")}'`).join('\n'));
+
+    await runCommand(
+        ffmpeg(listPath).inputOptions(['-f concat', '-safe 0']).outputOptions(['-c copy']),
+        outputPath
+    );
+
+    return outputPath;
+}
+
+/**
+ * Re-encode render: trim each segment in one filter graph and concatenate,
+ * scaling everything to the first source's frame size
+ */
+async function renderReencode(segments, sourcePaths, sources, format, outputBase, reportProgress) {
+    const withVideo = format.kind === 'video';
+    const base = sources.find(info => info.video)?.video || { width: 1280, height: 720 };
+    const filters = [];
+    const labels = [];
+
+    segments.forEach(({ source, start, end }, i) => {
+        const info = sources[source];
+        const range = `start=${start}${end !== null ? `:end=${end}` : ''}`;
+
+        if (withVideo) {
+            if (!info.video) {
+                throw new Error(`Source ${source + 1} has no video track`);
+            }
+            filters.push(`[${source}:v:0]trim=${range},setpts=PTS-STARTPTS,` +
+                `scale=${base.width}:${base.height}:force_original_aspect_ratio=decrease,` +
+                `pad=${base.width}:${base.height}:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[v${i}]`);
+            labels.push(`[v${i}]`);
+        }
+
+        // Sources without a microphone get silence so concat still lines up
+        if (info.audio) {
+            filters.push(`[${source}:a:0]atrim=${range},asetpts=PTS-STARTPTS,` +
+                `aformat=sample_rates=48000:channel_layouts=stereo[a${i}]`);
+        } else {
+            const stop = end !== null ? end : info.duration;
+            if (stop === null) {
+                throw new Error(`Source ${source + 1} has no audio and no known length, give its clip an out point`);
+            }
+            filters.push(`anullsrc=r=48000:cl=stereo,atrim=duration=${stop - start}[a${i}]`);
+        }
+        labels.push(`[a${i}]`);
+    });
+
+    filters.push(`${labels.join('')}concat=n=${segments.length}:v=${withVideo ? 1 : 0}:a=1` +
+        `${withVideo ? '[v]' : ''}[a]`);
+
+    let command = ffmpeg();
+    sourcePaths.forEach(sourcePath => command.input(sourcePath));
+    command = command.complexFilter(filters, withVideo ? ['v', 'a'] : ['a']);
+    formats.applyFormat(command, format);
+
+    // Expected output length drives the progress bar
+    const total = segments.reduce((sum, { source, start, end }) => {
+        const stop = end !== null ? end : sources[source].duration;
+        return stop !== null ? sum + (stop - start) : sum;
+    }, 0);
+
+    const outputPath = `${outputBase}.${format.extension}`;
+    await runCommand(command, outputPath, (progress) => {
+        if (total > 0) reportProgress((parseTimemark(progress.timemark) / total) * 100);
+    });
+
+    return outputPath;
+}
+
+/**
+ * POST /api/edit
+ * Queue an edit of one or more uploaded recordings
+ */
+router.post('/', acceptUploads(upload.array('videos', MAX_SOURCES)), (req, res) => {
+    const files = req.files || [];
+    const removeUploads = () => files.forEach(file => fs.unlink(file.path, () => { }));
+
+    const sessionPath = req.body.uploadId ? getUploadPath(req.body.uploadId, req.user) : null;
+    if (req.body.uploadId && !sessionPath) {
+        removeUploads();
+        return res.status(404).json({ error: 'Upload not found or not finalized' });
+    }
+
+    const sourcePaths = [...(sessionPath ? [sessionPath] : []), ...files.map(file => file.path)];
+    if (sourcePaths.length === 0) {
+        return res.status(400).json({ error: 'No video file uploaded' });
+    }
+
+    let edl;
+    let segments;
+    try {
+        edl = typeof req.body.edl === 'string' ? JSON.parse(req.body.edl) : (req.body.edl || {});
+        segments = buildSegments(edl, sourcePaths.length);
+    } catch (error) {
+        removeUploads();
+        return res.status(400).json({ error: 'Invalid edit list', message: error.message });
+    }
+
+    const mode = ['copy', 'reencode'].includes(edl.mode) ? edl.mode : 'auto';
+    const markers = parseMarkers(edl.markers);
+    const format = edl.format ? formats.getFormat(edl.format) : null;
+    if (edl.format && (!format || !formats.isAvailable(format))) {
+        removeUploads();
+        return res.status(400).json({ error: `Unsupported format: ${edl.format}` });
+    }
+    if (format && mode === 'copy') {
+        removeUploads();
+        return res.status(400).json({ error: 'Lossless edits keep the original format; drop "format" or use mode "auto"' });
+    }
+
+    // Unique per job: one upload session can be edited more than once
+    const jobBase = sourcePaths[0].replace(/\.webm$/, `-${Date.now()}`);
+    const workDir = `${jobBase}-edit`;
+    const outputBase = `${jobBase}-edited`;
+
+    const jobQueue = req.app.get('jobQueue');
+    const job = jobQueue.add({
+        type: 'edit',
+        socketId: req.body.socketId || null,
+        ownerId: req.user ? req.user.id : null,
+        run: async (job, reportProgress) => {
+            fs.mkdirSync(workDir, { recursive: true });
+
+            const sources = await Promise.all(sourcePaths.map(probeSource));
+            const keyframes = await Promise.all(sourcePaths.map((sourcePath, i) =>
+                sources[i].video ? probeKeyframes(sourcePath) : []));
+
+            const lossless = !format && mode !== 'reencode' && canCopy(segments, sources, keyframes);
+            if (mode === 'copy' && !lossless) {
+                throw new Error('Cuts do not line up with keyframes (or the sources differ), so a lossless edit is not possible');
+            }
+
+            console.log(`✂️ Editing ${segments.length} segment(s) from ${sourcePaths.length} file(s), ${lossless ? 'lossless' : 're-encoding'}`);
+
+            const outputPath = lossless
+                ? await renderCopy(segments, sourcePaths, copyExtension(sources[segments[0].source]), workDir, outputBase, reportProgress)
+                : await renderReencode(segments, sourcePaths, sources, format || formats.getFormat('mp4'), outputBase, reportProgress);
+
+            const chapters = mapMarkers(markers, segments, sources);
+            if (chapters.length > 0) {
+                await addChapters(outputPath, chapters);
+            }
+
+            return { outputPath, filename: `edited${path.extname(outputPath)}` };
+        },
+        cleanup: () => {
+            removeUploads();
+            // The cut parts; the output itself is deleted when the job expires
+            fs.rm(workDir, { recursive: true, force: true }, () => { });
+        }
+    });
+
+    if (!job) {
+        removeUploads();
+        return res.status(503).json({
+            error: 'Job queue is full',
+            message: 'Too many jobs are waiting, please try again in a few minutes'
+        });
+    }
+
+    res.status(202).json({
+        jobId: job.id,
+        statusUrl: `/api/convert/jobs/${job.id}`,
+        segments: segments.length,
+        ...jobQueue.toJSON(job)
+    });
+});
+
+module.exports = router;
+module.exports.probeSource = probeSource;
+module.exports.runCommand = runCommand;
+module.exports.addChapters = addChapters;
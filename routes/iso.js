@@ -0,0 +1,168 @@
+/**
+ * ISO Routes
+ * Packages a composite recording with the isolated (ISO) recordings of its
+ * sources - raw screen, webcam, microphone, system audio - into one
+ * multi-track MKV, so an editor can re-composite it later. Tracks are
+ * stream-copied; each is shifted by the offset the browser measured between
+ * its recorder and the composite's, so they stay time-aligned.
+ *
+ * Fields: composite as `video` (or `uploadId`, see uploads.js), sources as
+ * `tracks`, and `layout` (JSON) describing the tracks in upload order:
+ *   {
+ *     "tracks": [{ "source": "screen", "label": "Screen", "offset": 0.084 }],
+ *     "markers": [95.2]      // optional pause points, become chapters
+ *   }
+ */
+
+const express = require('express');
+const router = express.Router();
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const { upload, acceptUploads, parseMarkers } = require('./convert');
+const { getUploadPath } = require('./uploads');
+const { probeSource, runCommand, addChapters } = require('./edit');
+
+const MAX_TRACKS = 8;
+
+// A recorder that started further away than this from the composite isn't the same take
+const MAX_OFFSET = 60;
+
+/**
+ * Validate the track layout against the uploaded tracks
+ */
+function parseLayout(raw, trackCount) {
+    const layout = typeof raw === 'string' ? JSON.parse(raw) : (raw || {});
+    const tracks = Array.isArray(layout.tracks) ? layout.tracks : [];
+
+    if (tracks.length !== trackCount) {
+        throw new Error(`Layout describes ${tracks.length} track(s) but ${trackCount} were uploaded`);
+    }
+
+    return {
+        tracks: tracks.map((track, index) => {
+            const offset = Number(track.offset) || 0;
+            if (Math.abs(offset) > MAX_OFFSET) {
+                throw new Error(`Track ${index} is offset by ${offset}s from the composite`);
+            }
+            const label = String(track.label || track.source || `Track ${index + 1}`).slice(0, 64);
+            return { label, offset };
+        }),
+        markers: parseMarkers(layout.markers)
+    };
+}
+
+/**
+ * FFmpeg command packaging the composite and its tracks, stream-copied
+ * `inputs` are the probed sources (see probeSource), composite first
+ */
+function buildPackageCommand(compositePath, trackPaths, inputs, layout) {
+    const labels = [{ label: 'Program' }, ...layout.tracks];
+
+    // Streams are mapped input by input, video before audio, so their output index is known
+    const command = ffmpeg(compositePath);
+    const outputOptions = [];
+    let streamIndex = 0;
+
+    inputs.forEach((input, i) => {
+        if (i > 0) {
+            command.input(trackPaths[i - 1]).inputOptions(['-itsoffset', String(layout.tracks[i - 1].offset)]);
+        }
+
+        if (input.video) {
+            outputOptions.push('-map', `${i}:v:0`, `-metadata:s:${streamIndex++}`, `title=${labels[i].label}`);
+        }
+        if (input.audio) {
+            const title = i === 0 ? 'Program audio' : labels[i].label;
+            outputOptions.push('-map', `${i}:a:0`, `-metadata:s:${streamIndex++}`, `title=${title}`);
+        }
+    });
+
+    if (streamIndex === 0) {
+        throw new Error('None of the uploaded files has audio or video');
+    }
+
+    // One argument per token: given a single array, fluent-ffmpeg splits "title=Program audio" at the space
+    return command.outputOptions(...outputOptions, '-c', 'copy');
+}
+
+/**
+ * POST /api/iso
+ * Queue packaging of a composite recording and its ISO tracks
+ */
+router.post('/', acceptUploads(upload.fields([{ name: 'video', maxCount: 1 }, { name: 'tracks', maxCount: MAX_TRACKS }])), (req, res) => {
+    const files = [...((req.files && req.files.video) || []), ...((req.files && req.files.tracks) || [])];
+    const removeUploads = () => files.forEach(file => fs.unlink(file.path, () => { }));
+
+    const sessionPath = req.body.uploadId ? getUploadPath(req.body.uploadId, req.user) : null;
+    if (req.body.uploadId && !sessionPath) {
+        removeUploads();
+        return res.status(404).json({ error: 'Upload not found or not finalized' });
+    }
+
+    const videoFile = req.files && req.files.video ? req.files.video[0] : null;
+    const compositePath = sessionPath || (videoFile && videoFile.path);
+    const trackPaths = ((req.files && req.files.tracks) || []).map(file => file.path);
+    if (!compositePath) {
+        removeUploads();
+        return res.status(400).json({ error: 'No video file uploaded' });
+    }
+    if (trackPaths.length === 0) {
+        removeUploads();
+        return res.status(400).json({ error: 'No ISO tracks uploaded' });
+    }
+
+    let layout;
+    try {
+        layout = parseLayout(req.body.layout, trackPaths.length);
+    } catch (error) {
+        removeUploads();
+        return res.status(400).json({ error: 'Invalid track layout', message: error.message });
+    }
+
+    // Unique per job: one upload session can be packaged more than once
+    const outputPath = compositePath.replace(/\.webm$/, `-${Date.now()}-iso.mkv`);
+
+    const jobQueue = req.app.get('jobQueue');
+    const job = jobQueue.add({
+        type: 'iso',
+        socketId: req.body.socketId || null,
+        ownerId: req.user ? req.user.id : null,
+        run: async (job, reportProgress) => {
+            const inputs = await Promise.all([compositePath, ...trackPaths].map(probeSource));
+
+            console.log(`🎞️ Packaging recording with ${trackPaths.length} ISO track(s)`);
+
+            const command = buildPackageCommand(compositePath, trackPaths, inputs, layout);
+            await runCommand(command, outputPath, (progress) => {
+                if (Number.isFinite(progress.percent)) reportProgress(progress.percent);
+            });
+
+            if (layout.markers.length > 0) {
+                await addChapters(outputPath, layout.markers);
+            }
+
+            console.log('✅ ISO package complete');
+            return { outputPath, filename: 'recording-iso.mkv' };
+        },
+        cleanup: removeUploads
+    });
+
+    if (!job) {
+        removeUploads();
+        return res.status(503).json({
+            error: 'Job queue is full',
+            message: 'Too many jobs are waiting, please try again in a few minutes'
+        });
+    }
+
+    res.status(202).json({
+        jobId: job.id,
+        statusUrl: `/api/convert/jobs/${job.id}`,
+        tracks: trackPaths.length,
+        ...jobQueue.toJSON(job)
+    });
+});
+
+module.exports = router;
+module.exports.parseLayout = parseLayout;
+module.exports.buildPackageCommand = buildPackageCommand;
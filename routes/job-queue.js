@@ -0,0 +1,192 @@
+/**
+ * Job Queue
+ * Runs long FFmpeg jobs (conversions, edits) in the background with bounded
+ * concurrency. Clients get a job ID straight away, then follow progress over
+ * Socket.io (`job-progress`) or by polling, and download the result when done.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Finished outputs are kept this long for the client to download
+const JOB_TTL = 30 * 60 * 1000; // 30 minutes
+
+class JobQueue {
+    constructor({ concurrency = 2, maxQueued = 50 } = {}) {
+        this.concurrency = concurrency;
+        this.maxQueued = maxQueued;
+        this.jobs = new Map(); // job ID -> job
+        this.pending = [];     // queued job IDs, oldest first
+        this.running = 0;
+        this.io = null;
+    }
+
+    /**
+     * Use Socket.io to push progress to the client that submitted a job
+     */
+    setIo(io) {
+        this.io = io;
+    }
+
+    /**
+     * Queue a job
+     * `run(job, reportProgress)` does the work and resolves to { outputPath, filename };
+     * `cleanup()` removes its inputs once it has finished either way.
+     * Progress only goes to `socketId` if that socket is signed in as `ownerId`.
+     * Returns null when the queue is full.
+     */
+    add({ type, socketId = null, ownerId = null, run, cleanup = null }) {
+        if (this.pending.length >= this.maxQueued) {
+            return null;
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            progress: 0,
+            message: null,
+            socketId: this._verifySocket(socketId, ownerId),
+            ownerId,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            outputPath: null,
+            filename: null,
+            run,
+            cleanup,
+            expireTimer: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job.id);
+        console.log(`📋 Queued ${type} job ${job.id} (${this.pending.length} waiting)`);
+
+        this._notify(job);
+        this._next();
+        return job;
+    }
+
+    /**
+     * Look up a job
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Look up a job submitted by `user` (null when it is someone else's)
+     * Jobs submitted without signing in only match requests without a user
+     */
+    getOwned(id, user) {
+        const job = this.get(id);
+        return job && job.ownerId === (user ? user.id : null) ? job : null;
+    }
+
+    /**
+     * Public view of a job
+     */
+    toJSON(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            progress: job.progress,
+            message: job.message,
+            position: job.status === 'queued' ? this.pending.indexOf(job.id) + 1 : 0,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            filename: job.filename
+        };
+    }
+
+    /**
+     * Start queued jobs while there is capacity
+     */
+    _next() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.jobs.get(this.pending.shift());
+            if (job) this._run(job);
+        }
+
+        // Everyone still waiting has moved up the queue
+        this.pending.forEach(id => this._notify(this.jobs.get(id)));
+    }
+
+    /**
+     * Run one job to completion
+     */
+    async _run(job) {
+        this.running++;
+        job.status = 'running';
+        job.startedAt = Date.now();
+        this._notify(job);
+
+        let lastNotified = 0;
+        const reportProgress = (percent) => {
+            job.progress = Math.max(0, Math.min(100, Math.round(percent)));
+
+            // Don't flood the socket: at most one update per second
+            if (Date.now() - lastNotified >= 1000) {
+                lastNotified = Date.now();
+                this._notify(job);
+            }
+        };
+
+        try {
+            const { outputPath, filename } = await job.run(job, reportProgress);
+            job.status = 'done';
+            job.progress = 100;
+            job.outputPath = outputPath;
+            job.filename = filename;
+            console.log(`✅ ${job.type} job ${job.id} complete`);
+        } catch (error) {
+            job.status = 'failed';
+            job.message = error.message;
+            console.error(`❌ ${job.type} job ${job.id} failed:`, error.message);
+        }
+
+        job.finishedAt = Date.now();
+        if (job.cleanup) job.cleanup();
+
+        // Forget the job (and delete its output) after a while
+        job.expireTimer = setTimeout(() => this._expire(job), JOB_TTL);
+
+        this.running--;
+        this._notify(job);
+        this._next();
+    }
+
+    /**
+     * Drop a finished job and its output file
+     */
+    _expire(job) {
+        this.jobs.delete(job.id);
+        if (job.outputPath) {
+            fs.unlink(job.outputPath, () => { });
+        }
+    }
+
+    /**
+     * The socket ID, if it is connected and signed in as the job's owner
+     * (it comes from the request body, so it could name anyone's socket)
+     */
+    _verifySocket(socketId, ownerId) {
+        if (!socketId || !ownerId || !this.io) return null;
+
+        const socket = this.io.sockets.sockets.get(socketId);
+        const user = socket && socket.request && socket.request.user;
+        return user && user.id === ownerId ? socketId : null;
+    }
+
+    /**
+     * Push a job update to the client that submitted it
+     */
+    _notify(job) {
+        if (!job || !this.io || !job.socketId) return;
+        this.io.to(job.socketId).emit('job-progress', this.toJSON(job));
+    }
+}
+
+module.exports = JobQueue;
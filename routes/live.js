@@ -0,0 +1,58 @@
+/**
+ * Live Viewer Routes
+ * Lists streams published as local HLS and serves their playlists/segments
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+
+// Only the files the HLS packager writes are ever served
+const HLS_FILE_PATTERN = /^(index\.m3u8|segment_\d+\.ts)$/;
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Create the live routes for a StreamHandler
+ */
+function createLiveRoutes(streamHandler) {
+    const router = express.Router();
+
+    /**
+     * GET /api/live
+     * Streams currently watchable from watch.html
+     */
+    router.get('/api/live', (req, res) => {
+        res.json({
+            streams: streamHandler.getLiveStreams()
+        });
+    });
+
+    /**
+     * GET /live/:sessionId/:file
+     * HLS playlist and segments for one stream
+     */
+    router.get('/live/:sessionId/:file', (req, res) => {
+        const { sessionId, file } = req.params;
+
+        if (!SESSION_ID_PATTERN.test(sessionId) || !HLS_FILE_PATTERN.test(file)) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+
+        const filePath = path.join(streamHandler.getHlsDirectory(sessionId), file);
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Stream not found' });
+        }
+
+        const isPlaylist = file.endsWith('.m3u8');
+        res.set({
+            'Content-Type': isPlaylist ? 'application/vnd.apple.mpegurl' : 'video/mp2t',
+            // The playlist changes every segment; segments never change
+            'Cache-Control': isPlaylist ? 'no-cache' : 'public, max-age=60'
+        });
+        res.sendFile(filePath);
+    });
+
+    return router;
+}
+
+module.exports = createLiveRoutes;
@@ -0,0 +1,55 @@
+/**
+ * Scene Routes
+ * Loads and saves the signed-in user's compositor scenes, so layouts
+ * follow an instructor from class to class
+ */
+
+const express = require('express');
+const router = express.Router();
+const scenes = require('../config/scenes');
+const { isAuthenticated } = require('../middleware/auth');
+
+router.use(isAuthenticated);
+
+/**
+ * GET /api/scenes
+ * The user's saved scenes (`scenes` is null until they save any)
+ */
+router.get('/', (req, res) => {
+    const saved = scenes.getScenes(req.user.id);
+    res.json({
+        scenes: saved ? saved.scenes : null,
+        activeSceneId: saved ? saved.activeSceneId : null,
+        transition: saved ? saved.transition || null : null
+    });
+});
+
+/**
+ * PUT /api/scenes
+ * Replace the user's scenes: { scenes: [...], activeSceneId, transition }
+ * Layers that can't be drawn are left out; `droppedLayers` says how many
+ */
+router.put('/', (req, res) => {
+    let data;
+    let droppedLayers;
+    try {
+        ({ droppedLayers, ...data } = scenes.sanitizeScenes(req.body));
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid scenes', message: error.message });
+    }
+
+    try {
+        scenes.saveScenes(req.user.id, data);
+    } catch (error) {
+        console.error('Scene save error:', error);
+        return res.status(500).json({ error: 'Could not save scenes', message: error.message });
+    }
+
+    if (droppedLayers > 0) {
+        console.warn(`⚠️ Dropped ${droppedLayers} invalid layer(s) from ${req.user.id}'s scenes`);
+    }
+
+    res.json({ ...data, droppedLayers });
+});
+
+module.exports = router;
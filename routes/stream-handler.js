@@ -1,15 +1,124 @@
 /**
  * Stream Handler
  * Handles real-time video streaming via Socket.io and FFmpeg
+ *
+ * Each stream runs one encoder process that turns the browser's WebM into
+ * H.264/AAC MPEG-TS, and one lightweight relay process per destination that
+ * copies the encoded stream to its ingest (RTMP, RTMPS or SRT). Relays can be
+ * started and stopped independently, and one failing ingest does not affect
+ * the others.
+ *
+ * In supervised mode (the default) a crashed encoder or a dropped ingest is
+ * respawned with exponential backoff instead of ending the broadcast.
+ *
+ * A stream can also be packaged locally as HLS (`hls: true` in the start-stream
+ * config) so viewers on the LAN can watch it from watch.html without YouTube.
+ *
+ * With `archive: true` the encoded feed is also recorded to disk (see
+ * config/archives.js), so a crashed tab doesn't lose the lesson.
+ *
+ * Streams are keyed by a stream session ID rather than the socket, so when the
+ * browser's socket reconnects it can `resume-stream` within a grace period and
+ * keep the same broadcast (and its ingest connections) alive.
  */
 
 const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const archives = require('../config/archives');
+const encoders = require('../config/encoders');
+
+// A relay that falls this far behind is treated as a dead ingest
+const MAX_RELAY_BACKLOG = 8 * 1024 * 1024; // 8MB
+
+// Supervised mode: reconnect with exponential backoff
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const RECONNECT_MAX_ATTEMPTS = 10;
+
+// Per-stream input queue: incoming WebM waits here until FFmpeg's stdin drains
+const QUEUE_LIMIT = (parseInt(process.env.STREAM_QUEUE_LIMIT_MB) || 32) * 1024 * 1024;
+const QUEUE_HIGH_WATER = QUEUE_LIMIT / 4; // Ask the client to back off
+const QUEUE_LOW_WATER = QUEUE_LIMIT / 16; // Tell the client it can carry on
+
+// How long a stream keeps running without a socket, waiting for resume-stream
+const RESUME_GRACE_PERIOD = (parseInt(process.env.STREAM_RESUME_GRACE_SECONDS) || 60) * 1000;
+
+// Authorization: concurrent streams per user, and optional ingest host allowlist
+// (e.g. STREAM_ALLOWED_HOSTS=a.rtmp.youtube.com,*.campus.edu)
+const MAX_STREAMS_PER_USER = parseInt(process.env.STREAM_MAX_PER_USER) || 1;
+const ALLOWED_HOSTS = (process.env.STREAM_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Output protocols, picked by the URL scheme or an explicit `protocol` field
+const PROTOCOLS = ['rtmp', 'rtmps', 'srt'];
+
+// SRT latency in milliseconds (FFmpeg's libsrt option takes microseconds)
+const SRT_DEFAULT_LATENCY = 200;
+const SRT_MIN_LATENCY = 20;
+const SRT_MAX_LATENCY = 8000;
+
+// Local HLS output: rolling playlist and segments, one directory per stream
+const HLS_DIR = path.join(os.tmpdir(), 'streamteach-hls');
+const HLS_SEGMENT_SECONDS = 2;
+const HLS_LIST_SIZE = 6;
+const HLS_CLEANUP_DELAY = 30000; // Let viewers reach the end of the playlist first
+
+// Longest archive title kept (the default title is used when none is given)
+const MAX_ARCHIVE_TITLE = 200;
+
+// Archive container formats; both survive being cut off mid-recording
+const ARCHIVE_FORMATS = {
+    mkv: ['-f', 'matroska'],
+    mp4: ['-f', 'mp4', '-movflags', '+frag_keyframe+empty_moov+default_base_moof']
+};
+
+// Every WebM file (and every MediaRecorder restart) begins with this EBML magic
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+const WEBM_CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+
+// How often encoder telemetry is pushed to the studio
+const STATS_INTERVAL = 2000;
+
+/**
+ * Parse the newest progress line from FFmpeg stderr, e.g.
+ * "frame=  240 fps= 30 q=28.0 size=  1024kB time=00:00:08.00 bitrate=1048.6kbits/s dup=0 drop=2 speed=1.01x"
+ */
+function parseProgress(output) {
+    const lines = output.split(/[\r\n]+/).filter(line => line.includes('frame='));
+    if (lines.length === 0) return null;
+
+    const line = lines[lines.length - 1];
+    const read = (pattern) => {
+        const match = line.match(pattern);
+        return match ? parseFloat(match[1]) : null;
+    };
+
+    return {
+        frame: read(/frame=\s*(\d+)/),
+        fps: read(/fps=\s*([\d.]+)/),
+        bitrate: read(/bitrate=\s*([\d.]+)kbits\/s/),
+        speed: read(/speed=\s*([\d.]+)x/),
+        duplicatedFrames: read(/dup=\s*(\d+)/),
+        droppedFrames: read(/drop=\s*(\d+)/),
+        time: (line.match(/time=\s*(\S+)/) || [])[1] || null
+    };
+}
 
 class StreamHandler {
     constructor(io) {
         this.io = io;
-        this.streams = new Map(); // userId -> stream info
+        this.streams = new Map(); // stream session ID -> stream info
+
+        // HLS output left behind by a previous run is never served again
+        fs.rmSync(HLS_DIR, { recursive: true, force: true });
+
+        // Archives a previous run was still writing will never be finished
+        archives.markInterrupted();
     }
 
     /**
@@ -26,12 +135,28 @@ class StreamHandler {
             socket.on('stream-data', (data) => this._handleData(socket, data));
 
             // Handle stream stop
-            socket.on('stop-stream', () => this._stopStream(socket));
+            socket.on('stop-stream', (data) => {
+                const sessionId = data && data.sessionId;
+                this._stopStream(this._getSocketStream(socket) || this._findStream(socket, sessionId));
+            });
+
+            // Re-attach to a stream after a socket reconnect
+            socket.on('resume-stream', (data) => this._resumeStream(socket, data));
+
+            // Handle per-destination start/stop
+            socket.on('start-destination', (id) => {
+                const streamInfo = this._getSocketStream(socket);
+                if (streamInfo) this._startDestination(streamInfo, id);
+            });
+            socket.on('stop-destination', (id) => {
+                const streamInfo = this._getSocketStream(socket);
+                if (streamInfo) this._stopDestination(streamInfo, id);
+            });
 
-            // Handle disconnect
+            // Handle disconnect: keep the stream alive for a while so it can be resumed
             socket.on('disconnect', () => {
                 console.log('📡 Client disconnected:', socket.id);
-                this._stopStream(socket);
+                this._detachSocket(socket);
             });
         });
 
@@ -41,136 +166,960 @@ class StreamHandler {
     /**
      * Start a new stream for a client
      */
-    _startStream(socket, config) {
-        const { rtmpUrl, streamKey, width = 1920, height = 1080, fps = 30, bitrate = 4500 } = config;
+    _startStream(socket, data) {
+        const user = this._getSocketUser(socket);
+        const config = data && typeof data === 'object' ? data : {};
+        const { width = 1920, height = 1080, fps = 30, bitrate = 4500, profile } = config;
 
-        if (!rtmpUrl) {
-            socket.emit('stream-error', { message: 'RTMP URL is required' });
+        // Only logged-in users may spawn FFmpeg and push to ingest servers
+        if (!user) {
+            console.log(`🚫 Rejected start-stream from unauthenticated socket ${socket.id}`);
+            socket.emit('stream-error', { message: 'Please sign in to go live' });
+            return;
+        }
+
+        let destinations;
+        try {
+            destinations = this._normalizeDestinations(config);
+        } catch (error) {
+            socket.emit('stream-error', { message: error.message });
+            return;
+        }
+
+        if (destinations.length === 0 && !config.hls && !config.archive) {
+            socket.emit('stream-error', { message: 'Ingest URL is required' });
+            return;
+        }
+
+        const blocked = destinations.find(destination => !this._isHostAllowed(destination.ingestUrl));
+        if (blocked) {
+            console.log(`🚫 Rejected destination for ${user.name}: ${blocked.ingestUrl.substring(0, 50)}`);
+            socket.emit('stream-error', { message: `Destination not allowed: ${blocked.name}` });
             return;
         }
 
         // Stop any existing stream for this socket
-        this._stopStream(socket);
+        this._stopStream(this._getSocketStream(socket));
 
-        const fullRtmpUrl = streamKey ? `${rtmpUrl}/${streamKey}` : rtmpUrl;
+        if (!this._reserveUserSlot(user)) {
+            socket.emit('stream-error', {
+                message: `You already have ${MAX_STREAMS_PER_USER} live stream(s) running`
+            });
+            return;
+        }
 
-        console.log(`🔴 Starting stream for ${socket.id}`);
+        const id = crypto.randomUUID();
+        console.log(`🔴 Starting stream ${id} for ${user.name}`);
         console.log(`   Resolution: ${width}x${height} @ ${fps}fps`);
         console.log(`   Bitrate: ${bitrate}kbps`);
-        console.log(`   RTMP URL: ${rtmpUrl.substring(0, 50)}...`);
 
-        try {
-            // Build optimized FFmpeg arguments
-            const ffmpegArgs = this._buildFFmpegArgs(fullRtmpUrl, {
-                width, height, fps, bitrate
-            });
-
-            const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+        const encoder = encoders.resolveProfile(profile);
+        console.log(`   Destinations: ${destinations.length}${config.hls ? ' + local HLS' : ''}${config.archive ? ' + archive' : ''}`);
 
+        let streamInfo = null;
+        try {
             // Store stream info
-            this.streams.set(socket.id, {
-                ffmpeg,
+            streamInfo = {
+                id,
+                ownerId: user.id,
+                ownerName: user.name,
+                socket,
+                archive: null,
+                graceTimer: null,
+                ffmpeg: null,
                 startTime: Date.now(),
                 bytesReceived: 0,
-                config
-            });
+                config,
+                encoderOptions: { width, height, fps, bitrate, profile: encoder.id },
+                destinations: new Map(),
 
-            // Handle stdin errors (EPIPE when FFmpeg dies)
-            ffmpeg.stdin.on('error', (err) => {
-                if (err.code === 'EPIPE') {
-                    console.log('⚠️ FFmpeg stdin pipe closed (stream may have ended)');
-                } else {
-                    console.error('❌ FFmpeg stdin error:', err.message);
-                }
-            });
+                // Supervision: respawn dead processes instead of ending the stream
+                supervised: config.supervised !== false,
+                initSegment: null,      // Last WebM header seen, replayed into a respawned encoder
+                encoderCount: 0,
+                reconnectAttempts: 0,
+                reconnectTimer: null,
+                reconnectingSince: null,
 
-            // Handle FFmpeg stdout
-            ffmpeg.stdout.on('data', (data) => {
-                // Usually empty for RTMP output
-            });
+                // Latest encoder progress, pushed to the client every STATS_INTERVAL
+                progress: null,
+                statsTimer: null,
 
-            // Handle FFmpeg stderr (progress info)
-            ffmpeg.stderr.on('data', (data) => {
-                const output = data.toString();
-                // Parse frame/fps info if needed
-                if (output.includes('frame=')) {
-                    // Could emit progress updates
-                }
-            });
+                // Bounded input queue (also holds data while the encoder restarts)
+                queue: [],
+                queueBytes: 0,
+                droppedChunks: 0,
+                drainWaitFor: null,     // Encoder whose stdin we are waiting to drain
+                backpressure: false
+            };
+            this.streams.set(id, streamInfo);
+            socket.data.streamId = id;
 
-            // Handle FFmpeg errors
-            ffmpeg.on('error', (err) => {
-                console.error('❌ FFmpeg error:', err.message);
-                socket.emit('stream-error', { message: 'FFmpeg error: ' + err.message });
-                this._stopStream(socket);
-            });
+            this._spawnEncoder(streamInfo);
 
-            // Handle FFmpeg exit
-            ffmpeg.on('close', (code) => {
-                console.log(`⏹️ FFmpeg exited with code ${code}`);
-                if (code !== 0 && this.streams.has(socket.id)) {
-                    socket.emit('stream-error', { message: `Stream ended unexpectedly (code ${code})` });
-                }
-                this.streams.delete(socket.id);
+            streamInfo.statsTimer = setInterval(() => {
+                this._emit(streamInfo, 'stream-stats', this._getStats(streamInfo));
+            }, STATS_INTERVAL);
+
+            // Local HLS is just another relay, writing to disk instead of an ingest
+            if (config.hls) {
+                destinations.push(this._createDestination({
+                    id: 'hls',
+                    name: 'Local HLS',
+                    protocol: 'hls',
+                    ingestUrl: `/live/${id}/index.m3u8`,
+                    url: path.join(HLS_DIR, id, 'index.m3u8')
+                }));
+            }
+
+            // Server-side recording, also a relay (one file per relay run)
+            if (config.archive) {
+                const format = Object.prototype.hasOwnProperty.call(ARCHIVE_FORMATS, config.archiveFormat)
+                    ? config.archiveFormat
+                    : 'mkv';
+                const title = typeof config.title === 'string' ? config.title.trim().slice(0, MAX_ARCHIVE_TITLE) : '';
+                streamInfo.archive = archives.createArchive({
+                    id,
+                    ownerId: user.id,
+                    title,
+                    format
+                });
+                destinations.push(this._createDestination({
+                    id: 'archive',
+                    name: 'Archive',
+                    protocol: 'file',
+                    ingestUrl: `archive ${id}.${format}`,
+                    url: null
+                }));
+            }
+
+            // Start a relay for every destination
+            destinations.forEach((destination) => {
+                streamInfo.destinations.set(destination.id, destination);
+                this._startDestination(streamInfo, destination.id);
             });
 
-            socket.emit('stream-started', {
+            this._emit(streamInfo, 'stream-started', {
                 message: 'Stream started successfully',
-                startTime: Date.now()
+                sessionId: id,
+                startTime: Date.now(),
+                destinations: this._getDestinationStatus(streamInfo),
+                encoder: this._getEncoderStatus(streamInfo, encoder.fallbackFrom)
             });
 
         } catch (error) {
             console.error('❌ Failed to start stream:', error);
             socket.emit('stream-error', { message: 'Failed to start stream: ' + error.message });
+
+            // Don't leave a half-started stream holding the user's slot and its timers
+            this._stopStream(streamInfo);
+        }
+    }
+
+    /**
+     * Re-attach a reconnected socket to its stream session
+     */
+    _resumeStream(socket, data) {
+        const streamInfo = this._findStream(socket, data && data.sessionId);
+        if (!streamInfo) {
+            socket.emit('stream-error', { message: 'Stream session expired or not found' });
+            return;
+        }
+
+        clearTimeout(streamInfo.graceTimer);
+        streamInfo.graceTimer = null;
+
+        // Take the stream away from any other socket still attached to it
+        if (streamInfo.socket && streamInfo.socket !== socket) {
+            streamInfo.socket.data.streamId = null;
+        }
+
+        streamInfo.socket = socket;
+        socket.data.streamId = streamInfo.id;
+
+        console.log(`🔗 Stream ${streamInfo.id} resumed on ${socket.id}`);
+
+        // The client now restarts its recorder; the new WebM header restarts the encoder
+        socket.emit('stream-resumed', {
+            sessionId: streamInfo.id,
+            startTime: streamInfo.startTime,
+            destinations: this._getDestinationStatus(streamInfo)
+        });
+    }
+
+    /**
+     * Detach a disconnected socket and give the client time to resume
+     */
+    _detachSocket(socket) {
+        const streamInfo = this._getSocketStream(socket);
+        if (!streamInfo) return;
+
+        streamInfo.socket = null;
+        socket.data.streamId = null;
+
+        console.log(`⏳ Stream ${streamInfo.id} detached, waiting ${RESUME_GRACE_PERIOD / 1000}s for resume`);
+
+        streamInfo.graceTimer = setTimeout(() => {
+            streamInfo.graceTimer = null;
+            if (!streamInfo.socket) {
+                console.log(`⌛ Stream ${streamInfo.id} was not resumed`);
+                this._stopStream(streamInfo);
+            }
+        }, RESUME_GRACE_PERIOD);
+    }
+
+    /**
+     * Make room for a new stream within the user's concurrent stream limit
+     * Streams left behind by a closed tab (waiting for resume) are given up first
+     */
+    _reserveUserSlot(user) {
+        const owned = [...this.streams.values()]
+            .filter(streamInfo => streamInfo.ownerId === user.id)
+            .sort((a, b) => a.startTime - b.startTime);
+
+        let excess = owned.length - MAX_STREAMS_PER_USER + 1;
+        for (const streamInfo of owned) {
+            if (excess <= 0) break;
+            if (!streamInfo.socket) {
+                console.log(`♻️ Replacing detached stream ${streamInfo.id} for ${user.name}`);
+                this._stopStream(streamInfo);
+                excess--;
+            }
+        }
+
+        return excess <= 0;
+    }
+
+    /**
+     * Check a destination URL against the STREAM_ALLOWED_HOSTS allowlist
+     */
+    _isHostAllowed(url) {
+        if (ALLOWED_HOSTS.length === 0) return true;
+
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return false;
+        }
+
+        return ALLOWED_HOSTS.some(allowed => allowed.startsWith('*.')
+            ? hostname.endsWith(allowed.slice(1))
+            : hostname === allowed);
+    }
+
+    /**
+     * Look up a stream session on behalf of a socket
+     * A stream can only be claimed by the user who started it
+     */
+    _findStream(socket, sessionId) {
+        const streamInfo = sessionId ? this.streams.get(sessionId) : null;
+        if (!streamInfo) return null;
+
+        const user = this._getSocketUser(socket);
+        if (!user || user.id !== streamInfo.ownerId) {
+            return null;
+        }
+        return streamInfo;
+    }
+
+    /**
+     * Get the stream attached to a socket
+     */
+    _getSocketStream(socket) {
+        const streamInfo = socket.data.streamId ? this.streams.get(socket.data.streamId) : null;
+        return streamInfo && streamInfo.socket === socket ? streamInfo : null;
+    }
+
+    /**
+     * Get the logged-in user for a socket (shared express-session)
+     */
+    _getSocketUser(socket) {
+        return socket.request && socket.request.user ? socket.request.user : null;
+    }
+
+    /**
+     * Send an event to whichever socket is currently attached to a stream
+     */
+    _emit(streamInfo, event, data) {
+        if (streamInfo && streamInfo.socket) {
+            streamInfo.socket.emit(event, data);
+        }
+    }
+
+    /**
+     * Spawn the encoder process for a stream
+     * On a respawn, the last WebM header and any buffered data are replayed first
+     */
+    _spawnEncoder(streamInfo, replayInit = false) {
+        // Continue timestamps where the previous encoder stopped so relays see no jump back
+        const ffmpegArgs = this._buildFFmpegArgs({
+            ...streamInfo.encoderOptions,
+            timestampOffset: streamInfo.encoderCount > 0 ? (Date.now() - streamInfo.startTime) / 1000 : 0
+        });
+        streamInfo.encoderCount++;
+
+        const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+        streamInfo.ffmpeg = ffmpeg;
+
+        // Handle stdin errors (EPIPE when FFmpeg dies)
+        ffmpeg.stdin.on('error', (err) => {
+            if (err.code === 'EPIPE') {
+                console.log('⚠️ FFmpeg stdin pipe closed (stream may have ended)');
+            } else {
+                console.error('❌ FFmpeg stdin error:', err.message);
+            }
+        });
+
+        // Encoded MPEG-TS is fanned out to every running relay
+        let producedOutput = false;
+        ffmpeg.stdout.on('data', (chunk) => {
+            producedOutput = true;
+            if (streamInfo.reconnectingSince && streamInfo.ffmpeg === ffmpeg) {
+                this._handleEncoderRecovered(streamInfo);
+            }
+            this._fanOut(streamInfo, chunk);
+        });
+
+        // Handle FFmpeg stderr (progress info)
+        ffmpeg.stderr.on('data', (data) => {
+            const progress = parseProgress(data.toString());
+            if (progress && streamInfo.ffmpeg === ffmpeg) {
+                streamInfo.progress = { ...progress, updatedAt: Date.now() };
+            }
+        });
+
+        // Handle FFmpeg errors
+        ffmpeg.on('error', (err) => {
+            console.error('❌ FFmpeg error:', err.message);
+            if (streamInfo.ffmpeg !== ffmpeg || streamInfo.reconnectAttempts > 0) return;
+            this._emit(streamInfo, 'stream-error', { message: 'FFmpeg error: ' + err.message });
+            this._stopStream(streamInfo);
+        });
+
+        // Handle FFmpeg exit
+        ffmpeg.on('close', (code) => {
+            console.log(`⏹️ FFmpeg exited with code ${code}`);
+            if (streamInfo.ffmpeg !== ffmpeg || this.streams.get(streamInfo.id) !== streamInfo) return;
+            streamInfo.ffmpeg = null;
+
+            if (code === 0) return;
+
+            // A hardware encoder that dies before its first packet is most likely
+            // listed by FFmpeg but has no device behind it: retry in software
+            const { profile } = streamInfo.encoderOptions;
+            if (!producedOutput && encoders.PROFILES[profile].hardware) {
+                console.log(`⚠️ Encoder profile "${profile}" failed to start, falling back to ${encoders.FALLBACK_PROFILE}`);
+                streamInfo.encoderOptions.profile = encoders.FALLBACK_PROFILE;
+                this._emit(streamInfo, 'stream-encoder', this._getEncoderStatus(streamInfo, profile));
+                this._scheduleEncoderRestart(streamInfo, code);
+            } else if (streamInfo.supervised) {
+                this._scheduleEncoderRestart(streamInfo, code);
+            } else {
+                this._emit(streamInfo, 'stream-error', { message: `Stream ended unexpectedly (code ${code})` });
+                this._stopStream(streamInfo);
+            }
+        });
+
+        // Counters restart with the new process
+        streamInfo.progress = null;
+
+        // Queued data continues mid-file, so it needs the header in front of it
+        if (replayInit && streamInfo.initSegment && !this._isWebMHeader(streamInfo.queue[0])) {
+            ffmpeg.stdin.write(streamInfo.initSegment);
+        }
+        this._drainQueue(streamInfo);
+
+        return ffmpeg;
+    }
+
+    /**
+     * Respawn a dead encoder with exponential backoff
+     */
+    _scheduleEncoderRestart(streamInfo, code) {
+        if (streamInfo.reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) {
+            console.error(`❌ Encoder failed ${streamInfo.reconnectAttempts} times, giving up`);
+            this._emit(streamInfo, 'stream-error', { message: `Stream ended unexpectedly (code ${code})` });
+            this._stopStream(streamInfo);
+            return;
+        }
+
+        const attempt = ++streamInfo.reconnectAttempts;
+        const delay = this._getReconnectDelay(attempt);
+        streamInfo.reconnectingSince = streamInfo.reconnectingSince || Date.now();
+
+        console.log(`🔄 Restarting encoder in ${delay}ms (attempt ${attempt}/${RECONNECT_MAX_ATTEMPTS})`);
+        this._emit(streamInfo, 'stream-reconnecting', {
+            target: 'encoder',
+            name: 'Encoder',
+            attempt,
+            delay,
+            message: `Encoder stopped (code ${code}), restarting`
+        });
+
+        streamInfo.reconnectTimer = setTimeout(() => {
+            streamInfo.reconnectTimer = null;
+            if (this.streams.get(streamInfo.id) !== streamInfo) return;
+            this._spawnEncoder(streamInfo, true);
+        }, delay);
+    }
+
+    /**
+     * Report a respawned encoder as healthy again
+     */
+    _handleEncoderRecovered(streamInfo) {
+        const downtime = Math.round((Date.now() - streamInfo.reconnectingSince) / 1000);
+        console.log(`✅ Encoder recovered after ${downtime}s`);
+
+        streamInfo.reconnectAttempts = 0;
+        streamInfo.reconnectingSince = null;
+
+        this._emit(streamInfo, 'stream-recovered', {
+            target: 'encoder',
+            name: 'Encoder',
+            downtime
+        });
+    }
+
+    /**
+     * Backoff delay for a reconnect attempt (1s, 2s, 4s, ... capped)
+     */
+    _getReconnectDelay(attempt) {
+        return Math.min(RECONNECT_BASE_DELAY * Math.pow(2, attempt - 1), RECONNECT_MAX_DELAY);
+    }
+
+    /**
+     * Normalize the destination list from a start-stream config
+     * Accepts either `destinations: [...]` or the single `rtmpUrl`/`streamKey` pair.
+     * Throws with a user-facing message when a destination is invalid.
+     */
+    _normalizeDestinations(config) {
+        const list = Array.isArray(config.destinations) && config.destinations.length > 0
+            ? config.destinations
+            : [{
+                protocol: config.protocol,
+                url: config.url || config.rtmpUrl,
+                streamKey: config.streamKey,
+                latency: config.latency,
+                passphrase: config.passphrase
+            }];
+
+        const destinations = [];
+        list.forEach((dest, index) => {
+            const rawUrl = dest && (dest.url || dest.rtmpUrl);
+            if (!rawUrl) return;
+
+            const output = this._parseDestinationUrl(dest, String(rawUrl).trim());
+            let id = dest.id ? String(dest.id) : `dest-${index + 1}`;
+            if (destinations.some(d => d.id === id)) {
+                id = `${id}-${index + 1}`;
+            }
+
+            destinations.push(this._createDestination({
+                id,
+                name: dest.name || output.host,
+                protocol: output.protocol,
+                ingestUrl: output.ingestUrl,
+                url: output.url
+            }));
+        });
+
+        return destinations;
+    }
+
+    /**
+     * Create the bookkeeping for one relay output
+     */
+    _createDestination({ id, name, protocol, ingestUrl, url }) {
+        return {
+            id,
+            name,
+            protocol,
+            ingestUrl,
+            url,
+            status: 'stopped',
+            relay: null,
+            bytesSent: 0,
+            startTime: null,
+            message: null,
+            reconnectAttempts: 0,
+            retryTimer: null,
+            reconnectingSince: null
+        };
+    }
+
+    /**
+     * Work out the protocol and the final FFmpeg output URL for one destination
+     * RTMP/RTMPS append the stream key as a path segment; SRT carries the key as
+     * `streamid` and the latency/passphrase as query options.
+     */
+    _parseDestinationUrl(dest, rawUrl) {
+        const scheme = (rawUrl.match(/^([a-z][a-z0-9+.-]*):\/\//i) || [])[1];
+        const protocol = String(dest.protocol || scheme || 'rtmp').toLowerCase();
+
+        if (!PROTOCOLS.includes(protocol)) {
+            throw new Error(`Unsupported protocol: ${protocol}`);
+        }
+        if (scheme && scheme.toLowerCase() !== protocol) {
+            throw new Error(`URL ${rawUrl.substring(0, 50)} does not match protocol ${protocol.toUpperCase()}`);
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(scheme ? rawUrl : `${protocol}://${rawUrl}`);
+        } catch (error) {
+            throw new Error(`Invalid ${protocol.toUpperCase()} URL: ${rawUrl.substring(0, 50)}`);
+        }
+        if (!parsed.hostname) {
+            throw new Error(`Invalid ${protocol.toUpperCase()} URL: ${rawUrl.substring(0, 50)}`);
+        }
+
+        const streamKey = dest.streamKey ? String(dest.streamKey).trim() : '';
+
+        if (protocol === 'srt') {
+            if (!parsed.port) {
+                throw new Error('SRT URL needs a port, e.g. srt://ingest.example.com:9000');
+            }
+
+            const latency = dest.latency === undefined || dest.latency === null || dest.latency === ''
+                ? SRT_DEFAULT_LATENCY
+                : Number(dest.latency);
+            if (!Number.isInteger(latency) || latency < SRT_MIN_LATENCY || latency > SRT_MAX_LATENCY) {
+                throw new Error(`SRT latency must be ${SRT_MIN_LATENCY}-${SRT_MAX_LATENCY} ms`);
+            }
+
+            const passphrase = dest.passphrase ? String(dest.passphrase) : '';
+            if (passphrase && (passphrase.length < 10 || passphrase.length > 79)) {
+                throw new Error('SRT passphrase must be 10-79 characters');
+            }
+
+            if (!parsed.searchParams.has('mode')) parsed.searchParams.set('mode', 'caller');
+            parsed.searchParams.set('latency', String(latency * 1000));
+            if (passphrase) {
+                parsed.searchParams.set('passphrase', passphrase);
+                if (!parsed.searchParams.has('pbkeylen')) parsed.searchParams.set('pbkeylen', '16');
+            }
+            if (streamKey) parsed.searchParams.set('streamid', streamKey);
+
+            return {
+                protocol,
+                host: parsed.host,
+                ingestUrl: `srt://${parsed.host}`,
+                url: parsed.toString()
+            };
         }
+
+        const ingestUrl = parsed.toString().replace(/\/+$/, '');
+        return {
+            protocol,
+            host: parsed.host,
+            ingestUrl,
+            url: streamKey ? `${ingestUrl}/${streamKey}` : ingestUrl
+        };
+    }
+
+    /**
+     * Start (or restart) the relay for one destination
+     */
+    _startDestination(streamInfo, id, isRetry = false) {
+        const destination = streamInfo.destinations.get(id);
+        if (!destination) {
+            // Only this request failed; the stream itself carries on
+            this._emit(streamInfo, 'destination-error', { id, message: `Unknown destination: ${id}` });
+            return;
+        }
+
+        if (destination.relay) return;
+
+        // A manual start cancels any pending automatic retry
+        if (!isRetry) {
+            clearTimeout(destination.retryTimer);
+            destination.retryTimer = null;
+            destination.reconnectAttempts = 0;
+            destination.reconnectingSince = null;
+        }
+
+        if (destination.protocol === 'hls') {
+            fs.mkdirSync(path.dirname(destination.url), { recursive: true });
+        }
+
+        // Never overwrite an earlier archive file: each relay run gets its own part
+        if (destination.protocol === 'file') {
+            const archive = streamInfo.archive;
+            destination.url = archives.getPartPath(archive, archive.parts.length);
+            archive.parts.push({ startTime: Date.now() });
+            archives.saveArchive(archive);
+        }
+
+        console.log(`📤 Starting ${destination.protocol.toUpperCase()} relay "${destination.name}": ${destination.ingestUrl.substring(0, 50)}...`);
+
+        const relay = spawn('ffmpeg', this._buildRelayArgs(destination));
+        destination.relay = relay;
+        destination.bytesSent = 0;
+        destination.startTime = Date.now();
+        this._setDestinationStatus(streamInfo, destination, 'connecting');
+
+        relay.stdin.on('error', (err) => {
+            if (err.code !== 'EPIPE') {
+                console.error(`❌ Relay "${destination.name}" stdin error:`, err.message);
+            }
+        });
+
+        relay.stderr.on('data', (data) => {
+            // First progress line means the ingest accepted the connection
+            if (destination.status === 'connecting' && data.toString().includes('time=')) {
+                this._setDestinationStatus(streamInfo, destination, 'live');
+
+                if (destination.reconnectingSince) {
+                    const downtime = Math.round((Date.now() - destination.reconnectingSince) / 1000);
+                    console.log(`✅ Relay "${destination.name}" recovered after ${downtime}s`);
+                    destination.reconnectAttempts = 0;
+                    destination.reconnectingSince = null;
+                    this._emit(streamInfo, 'stream-recovered', {
+                        target: destination.id,
+                        name: destination.name,
+                        downtime
+                    });
+                }
+            }
+        });
+
+        relay.on('error', (err) => {
+            console.error(`❌ Relay "${destination.name}" error:`, err.message);
+        });
+
+        relay.on('close', (code) => {
+            // Ignore exits of relays that were already replaced or stopped
+            if (destination.relay !== relay) return;
+            destination.relay = null;
+
+            console.log(`⏹️ Relay "${destination.name}" exited with code ${code}`);
+
+            if (code === 0) {
+                this._setDestinationStatus(streamInfo, destination, 'stopped');
+                return;
+            }
+
+            if (streamInfo.supervised && destination.reconnectAttempts < RECONNECT_MAX_ATTEMPTS &&
+                this.streams.get(streamInfo.id) === streamInfo) {
+                this._scheduleRelayRestart(streamInfo, destination, code);
+                return;
+            }
+
+            this._setDestinationStatus(streamInfo, destination, 'failed', `Ingest connection lost (code ${code})`);
+
+            // Only end the whole stream once no destination is left running
+            const anyRunning = [...streamInfo.destinations.values()].some(d => d.relay || d.retryTimer);
+            const anyManuallyStopped = [...streamInfo.destinations.values()].some(d => d.status === 'stopped');
+            if (!anyRunning && !anyManuallyStopped && this.streams.get(streamInfo.id) === streamInfo) {
+                this._emit(streamInfo, 'stream-error', { message: 'All destinations failed' });
+                this._stopStream(streamInfo);
+            }
+        });
+    }
+
+    /**
+     * Reconnect a dropped ingest with exponential backoff
+     */
+    _scheduleRelayRestart(streamInfo, destination, code) {
+        const attempt = ++destination.reconnectAttempts;
+        const delay = this._getReconnectDelay(attempt);
+        destination.reconnectingSince = destination.reconnectingSince || Date.now();
+
+        console.log(`🔄 Reconnecting "${destination.name}" in ${delay}ms (attempt ${attempt}/${RECONNECT_MAX_ATTEMPTS})`);
+        this._setDestinationStatus(streamInfo, destination, 'reconnecting', `Ingest connection lost (code ${code}), retrying`);
+        this._emit(streamInfo, 'stream-reconnecting', {
+            target: destination.id,
+            name: destination.name,
+            attempt,
+            delay,
+            message: `Ingest connection lost (code ${code}), retrying`
+        });
+
+        destination.retryTimer = setTimeout(() => {
+            destination.retryTimer = null;
+            if (this.streams.get(streamInfo.id) !== streamInfo) return;
+            this._startDestination(streamInfo, destination.id, true);
+        }, delay);
+    }
+
+    /**
+     * Stop the relay for one destination, leaving the others running
+     */
+    _stopDestination(streamInfo, id) {
+        const destination = streamInfo.destinations.get(id);
+        if (!destination || (!destination.relay && !destination.retryTimer)) return;
+
+        console.log(`⏹️ Stopping relay "${destination.name}"`);
+
+        clearTimeout(destination.retryTimer);
+        destination.retryTimer = null;
+        destination.reconnectingSince = null;
+
+        const relay = destination.relay;
+        destination.relay = null;
+        this._closeProcess(relay);
+        this._setDestinationStatus(streamInfo, destination, 'stopped');
+    }
+
+    /**
+     * Update a destination's status and notify the client
+     */
+    _setDestinationStatus(streamInfo, destination, status, message = null) {
+        destination.status = status;
+        destination.message = message;
+
+        this._emit(streamInfo, 'destination-status', {
+            id: destination.id,
+            name: destination.name,
+            status,
+            message
+        });
+    }
+
+    /**
+     * Copy an encoded chunk to every running relay
+     */
+    _fanOut(streamInfo, chunk) {
+        streamInfo.destinations.forEach((destination) => {
+            const relay = destination.relay;
+            if (!relay || !relay.stdin || relay.stdin.destroyed) return;
+
+            // A stalled ingest must not hold the other destinations back
+            if (relay.stdin.writableLength > MAX_RELAY_BACKLOG) {
+                console.warn(`⚠️ Relay "${destination.name}" is not keeping up, dropping it`);
+                relay.kill('SIGKILL');
+                return;
+            }
+
+            relay.stdin.write(chunk);
+            destination.bytesSent += chunk.length;
+        });
     }
 
     /**
      * Handle incoming video data
      */
     _handleData(socket, data) {
-        const streamInfo = this.streams.get(socket.id);
-        if (!streamInfo || !streamInfo.ffmpeg) {
+        const streamInfo = this._getSocketStream(socket);
+        if (!streamInfo) {
             return;
         }
 
+        // Only binary payloads; Buffer.from throws on anything else (null, numbers, objects)
+        if (!(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) {
+            console.warn(`⚠️ Ignored non-binary stream-data from ${socket.id}`);
+            return;
+        }
+
+        const buffer = ArrayBuffer.isView(data)
+            ? Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+            : Buffer.from(data);
+        streamInfo.bytesReceived += buffer.length;
+
+        if (this._isWebMHeader(buffer)) {
+            const hadHeader = !!streamInfo.initSegment;
+
+            // Remember the newest WebM header so a respawned encoder can decode again
+            streamInfo.initSegment = this._extractInitSegment(buffer);
+
+            // The client restarted its MediaRecorder: queued data belongs to the old
+            // timeline, and the new file needs a fresh encoder
+            if (hadHeader) {
+                this._clearQueue(streamInfo);
+                if (streamInfo.ffmpeg) {
+                    this._replaceEncoder(streamInfo);
+                }
+            }
+        }
+
+        this._enqueue(streamInfo, buffer);
+        this._drainQueue(streamInfo);
+    }
+
+    /**
+     * Add data to the stream's bounded queue, dropping the oldest whole clusters once full
+     * Data is queued split at Cluster boundaries, so a dropped cluster never leaves
+     * FFmpeg with half of one
+     */
+    _enqueue(streamInfo, buffer) {
+        this._splitAtClusters(buffer).forEach(part => streamInfo.queue.push(part));
+        streamInfo.queueBytes += buffer.length;
+
+        while (streamInfo.queueBytes > QUEUE_LIMIT && this._dropOldestCluster(streamInfo)) {
+            streamInfo.droppedChunks++;
+
+            if (streamInfo.droppedChunks === 1 || streamInfo.droppedChunks % 50 === 0) {
+                console.warn(`⚠️ Stream queue full for ${streamInfo.id}, dropped ${streamInfo.droppedChunks} cluster(s)`);
+            }
+        }
+
+        // No complete cluster to drop: the client isn't sending WebM we can follow
+        if (streamInfo.queueBytes > QUEUE_LIMIT * 2) {
+            console.warn(`⚠️ Stream queue for ${streamInfo.id} has no cluster boundaries, discarding it`);
+            this._clearQueue(streamInfo);
+        }
+
+        if (!streamInfo.backpressure && streamInfo.queueBytes >= QUEUE_HIGH_WATER) {
+            streamInfo.backpressure = true;
+            console.warn(`⚠️ Backpressure on ${streamInfo.id}: ${(streamInfo.queueBytes / (1024 * 1024)).toFixed(1)}MB queued`);
+            this._emit(streamInfo, 'stream-backpressure', { level: 'high', ...this._getBufferStatus(streamInfo) });
+        }
+    }
+
+    /**
+     * Split a chunk so every Cluster starts a piece of its own
+     * (an ID cut in half between two chunks is missed, which only merges two clusters)
+     */
+    _splitAtClusters(buffer) {
+        const parts = [];
+        let start = 0;
+        let next = buffer.indexOf(WEBM_CLUSTER_ID, 1);
+        while (next !== -1) {
+            parts.push(buffer.subarray(start, next));
+            start = next;
+            next = buffer.indexOf(WEBM_CLUSTER_ID, next + 1);
+        }
+        parts.push(start === 0 ? buffer : buffer.subarray(start));
+        return parts;
+    }
+
+    /**
+     * Remove the first complete cluster from the queue
+     * A partly written cluster at the front and the one still arriving at the back are kept
+     * Returns false when there is no complete cluster
+     */
+    _dropOldestCluster(streamInfo) {
+        const queue = streamInfo.queue;
+        const isClusterStart = (part) => part.length >= WEBM_CLUSTER_ID.length &&
+            part.subarray(0, WEBM_CLUSTER_ID.length).equals(WEBM_CLUSTER_ID);
+
+        const start = queue.findIndex(isClusterStart);
+        if (start === -1) return false;
+        const end = queue.findIndex((part, i) => i > start && isClusterStart(part));
+        if (end === -1) return false;
+
+        queue.splice(start, end - start).forEach(part => {
+            streamInfo.queueBytes -= part.length;
+        });
+        return true;
+    }
+
+    /**
+     * Write queued data to FFmpeg until its stdin asks us to wait for 'drain'
+     */
+    _drainQueue(streamInfo) {
+        const ffmpeg = streamInfo.ffmpeg;
+        if (!ffmpeg || !ffmpeg.stdin || ffmpeg.stdin.destroyed) return;
+        if (streamInfo.drainWaitFor === ffmpeg) return;
+
         try {
-            // Check if stdin is writable
-            if (streamInfo.ffmpeg.stdin && !streamInfo.ffmpeg.stdin.destroyed) {
-                const buffer = Buffer.from(data);
-                streamInfo.ffmpeg.stdin.write(buffer, (err) => {
-                    if (err) {
-                        console.error('Write error:', err.message);
-                        // Don't stop, FFmpeg might recover
-                    }
-                });
-                streamInfo.bytesReceived += buffer.length;
+            while (streamInfo.queue.length > 0) {
+                const chunk = streamInfo.queue.shift();
+                streamInfo.queueBytes -= chunk.length;
+
+                if (!ffmpeg.stdin.write(chunk)) {
+                    streamInfo.drainWaitFor = ffmpeg;
+                    ffmpeg.stdin.once('drain', () => {
+                        if (streamInfo.drainWaitFor !== ffmpeg) return;
+                        streamInfo.drainWaitFor = null;
+                        this._drainQueue(streamInfo);
+                    });
+                    break;
+                }
             }
         } catch (error) {
             console.error('Error writing to FFmpeg:', error.message);
             // Stop the stream if we can't write
-            this._stopStream(socket);
+            this._stopStream(streamInfo);
+            return;
         }
+
+        if (streamInfo.backpressure && streamInfo.queueBytes <= QUEUE_LOW_WATER) {
+            streamInfo.backpressure = false;
+            this._emit(streamInfo, 'stream-backpressure', { level: 'normal', ...this._getBufferStatus(streamInfo) });
+        }
+    }
+
+    /**
+     * Discard everything waiting in the queue
+     */
+    _clearQueue(streamInfo) {
+        streamInfo.queue = [];
+        streamInfo.queueBytes = 0;
+    }
+
+    /**
+     * Swap the running encoder for a new one (used when the client restarts its recorder)
+     */
+    _replaceEncoder(streamInfo) {
+        console.log(`🔁 New WebM header for ${streamInfo.id}, restarting encoder`);
+
+        const previous = streamInfo.ffmpeg;
+        streamInfo.ffmpeg = null;
+        streamInfo.drainWaitFor = null;
+        this._closeProcess(previous);
+
+        this._spawnEncoder(streamInfo);
+    }
+
+    /**
+     * Check whether a chunk starts a new WebM file
+     */
+    _isWebMHeader(buffer) {
+        return !!buffer && buffer.length >= EBML_MAGIC.length &&
+            buffer.subarray(0, EBML_MAGIC.length).equals(EBML_MAGIC);
+    }
+
+    /**
+     * Cut a WebM header chunk down to everything before its first Cluster
+     * (EBML header, Segment info and Tracks), which is what a decoder needs to start
+     */
+    _extractInitSegment(buffer) {
+        const clusterStart = buffer.indexOf(WEBM_CLUSTER_ID);
+        return clusterStart > 0 ? Buffer.from(buffer.subarray(0, clusterStart)) : buffer;
     }
 
     /**
      * Stop a stream
      */
-    _stopStream(socket) {
-        const streamInfo = this.streams.get(socket.id);
-        if (!streamInfo) return;
+    _stopStream(streamInfo) {
+        if (!streamInfo || this.streams.get(streamInfo.id) !== streamInfo) return;
 
-        console.log(`⏹️ Stopping stream for ${socket.id}`);
+        // Remove first so exit handlers don't report the shutdown as a failure
+        this.streams.delete(streamInfo.id);
+
+        console.log(`⏹️ Stopping stream ${streamInfo.id}`);
 
         try {
-            // Close FFmpeg stdin to signal end
-            if (streamInfo.ffmpeg && streamInfo.ffmpeg.stdin) {
-                streamInfo.ffmpeg.stdin.end();
+            clearTimeout(streamInfo.graceTimer);
+            clearTimeout(streamInfo.reconnectTimer);
+            clearInterval(streamInfo.statsTimer);
+            this._closeProcess(streamInfo.ffmpeg);
+
+            streamInfo.destinations.forEach((destination) => {
+                clearTimeout(destination.retryTimer);
+                destination.retryTimer = null;
+                if (destination.relay) {
+                    const relay = destination.relay;
+                    destination.relay = null;
+                    this._closeProcess(relay);
+                }
+                destination.status = 'stopped';
+            });
+
+            if (streamInfo.archive) {
+                const archive = streamInfo.archive;
+                archive.status = 'complete';
+                archive.endTime = Date.now();
+                archive.duration = Math.round((archive.endTime - archive.startTime) / 1000);
+                archives.saveArchive(archive);
+                console.log(`💾 Archived ${archive.parts.length} file(s) for stream ${streamInfo.id}`);
             }
 
-            // Kill FFmpeg process
-            if (streamInfo.ffmpeg) {
-                streamInfo.ffmpeg.kill('SIGTERM');
+            if (streamInfo.destinations.has('hls')) {
+                const hlsDir = path.join(HLS_DIR, streamInfo.id);
+                setTimeout(() => fs.rm(hlsDir, { recursive: true, force: true }, () => { }), HLS_CLEANUP_DELAY);
             }
 
             const duration = Math.round((Date.now() - streamInfo.startTime) / 1000);
@@ -178,7 +1127,7 @@ class StreamHandler {
 
             console.log(`   Duration: ${duration}s, Data: ${mbReceived}MB`);
 
-            socket.emit('stream-stopped', {
+            this._emit(streamInfo, 'stream-stopped', {
                 duration,
                 bytesReceived: streamInfo.bytesReceived
             });
@@ -186,85 +1135,167 @@ class StreamHandler {
         } catch (error) {
             console.error('Error stopping stream:', error);
         }
+    }
+
+    /**
+     * Close an FFmpeg process: end its input, then terminate it
+     */
+    _closeProcess(proc) {
+        if (!proc) return;
+
+        // Close FFmpeg stdin to signal end
+        if (proc.stdin) {
+            proc.stdin.end();
+        }
 
-        this.streams.delete(socket.id);
+        // Kill FFmpeg process
+        proc.kill('SIGTERM');
+    }
+
+    /**
+     * List streams that are currently published as local HLS
+     */
+    getLiveStreams() {
+        return [...this.streams.values()]
+            .filter(streamInfo => {
+                const hls = streamInfo.destinations.get('hls');
+                return hls && hls.status === 'live';
+            })
+            .map(streamInfo => ({
+                sessionId: streamInfo.id,
+                presenter: streamInfo.ownerName,
+                startTime: streamInfo.startTime,
+                duration: Math.round((Date.now() - streamInfo.startTime) / 1000),
+                playlistUrl: streamInfo.destinations.get('hls').ingestUrl
+            }));
+    }
+
+    /**
+     * Get the directory a stream's HLS playlist and segments are written to
+     */
+    getHlsDirectory(sessionId) {
+        return path.join(HLS_DIR, sessionId);
     }
 
     /**
      * Get stream status
      */
-    getStreamStatus(socketId) {
-        const streamInfo = this.streams.get(socketId);
+    getStreamStatus(sessionId) {
+        const streamInfo = this.streams.get(sessionId);
         if (!streamInfo) return null;
 
         return {
             isStreaming: true,
             duration: Math.round((Date.now() - streamInfo.startTime) / 1000),
             bytesReceived: streamInfo.bytesReceived,
-            config: streamInfo.config
+            config: streamInfo.config,
+            reconnecting: !!streamInfo.reconnectingSince,
+            stats: this._getStats(streamInfo),
+            buffer: this._getBufferStatus(streamInfo),
+            destinations: this._getDestinationStatus(streamInfo)
+        };
+    }
+
+    /**
+     * Get encoder telemetry for the studio health panel
+     */
+    _getStats(streamInfo) {
+        const progress = streamInfo.progress || {};
+        const stdin = streamInfo.ffmpeg && streamInfo.ffmpeg.stdin;
+
+        return {
+            fps: progress.fps ?? null,
+            bitrate: progress.bitrate ?? null,
+            speed: progress.speed ?? null,
+            frame: progress.frame ?? null,
+            droppedFrames: progress.droppedFrames ?? 0,
+            duplicatedFrames: progress.duplicatedFrames ?? 0,
+            encodedTime: progress.time ?? null,
+            // Bytes received from the browser that FFmpeg has not consumed yet
+            queueBytes: (stdin ? stdin.writableLength : 0) + streamInfo.queueBytes,
+            buffer: this._getBufferStatus(streamInfo),
+            duration: Math.round((Date.now() - streamInfo.startTime) / 1000),
+            bytesReceived: streamInfo.bytesReceived,
+            reconnecting: !!streamInfo.reconnectingSince
+        };
+    }
+
+    /**
+     * Get input queue occupancy
+     */
+    _getBufferStatus(streamInfo) {
+        return {
+            queueBytes: streamInfo.queueBytes,
+            queueLimit: QUEUE_LIMIT,
+            occupancy: Math.round((streamInfo.queueBytes / QUEUE_LIMIT) * 100),
+            droppedChunks: streamInfo.droppedChunks,
+            backpressure: streamInfo.backpressure
+        };
+    }
+
+    /**
+     * Get a client-safe summary of every destination (no stream keys)
+     */
+    _getDestinationStatus(streamInfo) {
+        return [...streamInfo.destinations.values()].map(destination => ({
+            id: destination.id,
+            name: destination.name,
+            protocol: destination.protocol,
+            status: destination.status,
+            message: destination.message,
+            bytesSent: destination.bytesSent
+        }));
+    }
+
+    /**
+     * Get the encoding profile in use, and what it replaced if we fell back
+     */
+    _getEncoderStatus(streamInfo, fallbackFrom = null) {
+        const id = streamInfo.encoderOptions.profile;
+        const profile = encoders.PROFILES[id];
+
+        return {
+            profile: id,
+            name: profile.name,
+            encoder: profile.encoder,
+            fallbackFrom,
+            message: fallbackFrom
+                ? `${encoders.PROFILES[fallbackFrom] ? encoders.PROFILES[fallbackFrom].name : fallbackFrom} is not available, using ${profile.name}`
+                : null
         };
     }
 
     /**
      * Build optimized FFmpeg arguments
-     * Tries hardware acceleration first, falls back to optimized software encoding
+     * Video codec settings come from the stream's encoding profile (config/encoders.js)
      */
-    _buildFFmpegArgs(rtmpUrl, { width, height, fps, bitrate }) {
+    _buildFFmpegArgs({ width, height, fps, bitrate, profile: profileId, timestampOffset = 0 }) {
+        const profile = encoders.PROFILES[profileId] || encoders.PROFILES[encoders.FALLBACK_PROFILE];
+
         const args = [
             // Reduce input buffer for lower latency
             '-fflags', 'nobuffer',
             '-flags', 'low_delay',
 
+            // Hardware device setup (VAAPI), if the profile needs one
+            ...(profile.inputArgs || []),
+
             // Input from stdin (WebM from browser)
             '-i', 'pipe:0',
 
-            // Limit threads to reduce CPU usage
-            '-threads', '4',
+            // Video encoder from the selected profile (including any thread limit)
+            ...profile.videoArgs(bitrate)
         ];
-
-        // Try NVIDIA NVENC hardware encoding first
-        // Falls back to optimized software encoding
-        const useHardware = process.env.USE_HARDWARE_ENCODING === 'true';
-
-        if (useHardware) {
-            // NVIDIA NVENC (if available)
-            args.push(
-                '-c:v', 'h264_nvenc',
-                '-preset', 'p4',  // Balanced preset for NVENC
-                '-tune', 'll',   // Low latency tuning
-                '-b:v', `${bitrate}k`,
-                '-maxrate', `${bitrate}k`,
-                '-bufsize', `${Math.floor(bitrate / 2)}k`,  // Smaller buffer for low latency
-                '-rc', 'cbr',    // Constant bitrate for streaming
-                '-gpu', '0'      // Use first GPU
-            );
-            console.log('   Using: NVIDIA NVENC (hardware)');
-        } else {
-            // Optimized software encoding (lower CPU usage)
-            args.push(
-                '-c:v', 'libx264',
-                '-preset', 'ultrafast',  // Fastest preset for lowest CPU
-                '-tune', 'zerolatency',  // Optimized for streaming
-                '-profile:v', 'baseline', // Simpler profile = less CPU
-                '-level', '3.1',
-                '-b:v', `${bitrate}k`,
-                '-maxrate', `${bitrate}k`,
-                '-bufsize', `${Math.floor(bitrate / 2)}k`,  // Smaller buffer
-                '-threads', '4',  // Limit encoder threads
-                '-x264-params', 'nal-hrd=cbr:force-cfr=1'  // Constant bitrate
-            );
-            console.log('   Using: libx264 ultrafast (software, optimized)');
-        }
+        console.log(`   Using: ${profile.name} (${profile.encoder}${profile.hardware ? ', hardware' : ''})`);
 
         // Common settings
         args.push(
-            '-pix_fmt', 'yuv420p',
             '-g', String(fps * 2),  // Keyframe every 2 seconds
             '-r', String(fps),
             '-vsync', 'cfr',  // Constant frame rate
 
             // Skip scaling if dimensions match (reduces CPU)
-            '-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,format=yuv420p`,
+            '-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,${profile.filter}`,
 
             // Audio encoding (optimized)
             '-c:a', 'aac',
@@ -272,14 +1303,80 @@ class StreamHandler {
             '-ar', '44100',
             '-ac', '2',
 
+            // Repeat SPS/PPS on every keyframe so relays can join mid-stream
+            '-bsf:v', 'dump_extra',
+
+            // Keep timestamps increasing across encoder restarts
+            '-output_ts_offset', timestampOffset.toFixed(3),
+
             // Output format
-            '-f', 'flv',
+            '-f', 'mpegts',
+            '-mpegts_flags', '+resend_headers',
 
-            // RTMP output
-            rtmpUrl
+            // Encoded output to stdout, fanned out to relays
+            'pipe:1'
         );
 
         return args;
     }
+
+    /**
+     * Build relay FFmpeg arguments
+     * Copies the encoded MPEG-TS to a single ingest without re-encoding
+     * RTMP/RTMPS carry FLV; SRT carries the MPEG-TS as-is
+     */
+    _buildRelayArgs(destination) {
+        if (destination.protocol === 'hls') {
+            return this._buildHlsArgs(destination.url);
+        }
+
+        if (destination.protocol === 'file') {
+            return [
+                '-f', 'mpegts',
+                '-i', 'pipe:0',
+                '-c', 'copy',
+                ...ARCHIVE_FORMATS[path.extname(destination.url).slice(1)],
+                destination.url
+            ];
+        }
+
+        return [
+            '-f', 'mpegts',
+            '-i', 'pipe:0',
+
+            // No re-encoding, just remux
+            '-c', 'copy',
+
+            // Output format
+            '-f', destination.protocol === 'srt' ? 'mpegts' : 'flv',
+
+            // Ingest output
+            destination.url
+        ];
+    }
+
+    /**
+     * Build HLS packager arguments
+     * Segments the encoded MPEG-TS into a rolling playlist on disk (keyframes
+     * are every 2 seconds, so segments cut cleanly without re-encoding)
+     */
+    _buildHlsArgs(playlistPath) {
+        return [
+            '-f', 'mpegts',
+            '-i', 'pipe:0',
+
+            // No re-encoding, just segment
+            '-c', 'copy',
+
+            // Rolling live playlist; append_list keeps numbering across relay restarts
+            '-f', 'hls',
+            '-hls_time', String(HLS_SEGMENT_SECONDS),
+            '-hls_list_size', String(HLS_LIST_SIZE),
+            '-hls_flags', 'delete_segments+append_list+discont_start+independent_segments',
+            '-hls_segment_filename', path.join(path.dirname(playlistPath), 'segment_%05d.ts'),
+
+            playlistPath
+        ];
+    }
 }
 module.exports = StreamHandler;
@@ -0,0 +1,236 @@
+/**
+ * Upload Session Routes
+ * Resumable, chunked uploads of recordings while they are being recorded.
+ * The client creates a session, appends chunks at an explicit byte offset
+ * (a mismatch answers with the offset the server has, so it can resume after
+ * a network drop) and finalizes it. Convert, edit and YouTube upload then
+ * take the `uploadId` instead of a file.
+ *
+ * Sessions belong to the signed-in user who created them; anyone else gets a 404.
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { isAuthenticated } = require('../middleware/auth');
+
+const UPLOAD_DIR = path.join(os.tmpdir(), 'streamteach-uploads');
+
+// Largest single append and largest finished recording
+const MAX_CHUNK_SIZE = 32 * 1024 * 1024; // 32MB
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024 * 1024; // 10GB
+
+// Sessions still being uploaded (a segmented recording with ISO tracks has several at once)
+const MAX_OPEN_PER_USER = parseInt(process.env.UPLOAD_MAX_OPEN_PER_USER) || 16;
+const MAX_OPEN_TOTAL = parseInt(process.env.UPLOAD_MAX_OPEN_TOTAL) || 200;
+
+// Sessions nobody has touched for this long are deleted
+const UPLOAD_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Upload ID -> session
+const sessions = new Map();
+
+/**
+ * Public view of a session
+ */
+function toJSON(session) {
+    return {
+        uploadId: session.id,
+        offset: session.offset,
+        status: session.status,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+    };
+}
+
+/**
+ * A session, if it exists and belongs to the user
+ */
+function getOwnSession(uploadId, user) {
+    const session = UPLOAD_ID_PATTERN.test(uploadId || '') ? sessions.get(uploadId) : null;
+    return session && user && session.ownerId === user.id ? session : null;
+}
+
+/**
+ * Find one of the user's sessions from the route parameter, answering 404 if there is none
+ */
+function findSession(req, res) {
+    const session = getOwnSession(req.params.id, req.user);
+    if (!session) {
+        res.status(404).json({ error: 'Upload not found' });
+        return null;
+    }
+    session.updatedAt = Date.now();
+    return session;
+}
+
+/**
+ * Delete a session and its file
+ */
+function removeSession(session) {
+    sessions.delete(session.id);
+    fs.unlink(session.path, () => { });
+}
+
+/**
+ * Path of one of the user's finished uploads, for routes that take `uploadId`
+ * Returns null when the upload doesn't exist, isn't theirs or isn't finalized
+ */
+function getUploadPath(uploadId, user) {
+    const session = getOwnSession(uploadId, user);
+    if (!session || session.status !== 'complete') return null;
+
+    // Using an upload keeps it alive
+    session.updatedAt = Date.now();
+    return session.path;
+}
+
+router.use(isAuthenticated);
+
+/**
+ * POST /api/uploads
+ * Start an upload session
+ */
+router.post('/', (req, res) => {
+    const open = [...sessions.values()].filter(session => session.status === 'uploading');
+    if (open.filter(session => session.ownerId === req.user.id).length >= MAX_OPEN_PER_USER) {
+        return res.status(429).json({
+            error: 'Too many uploads',
+            message: `No more than ${MAX_OPEN_PER_USER} uploads can be in progress at once`
+        });
+    }
+    if (open.length >= MAX_OPEN_TOTAL) {
+        return res.status(503).json({
+            error: 'Upload server is busy',
+            message: 'Too many uploads are in progress, please try again in a few minutes'
+        });
+    }
+
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+    const id = crypto.randomUUID();
+    const session = {
+        id,
+        ownerId: req.user.id,
+        path: path.join(UPLOAD_DIR, `upload-${id}.webm`),
+        offset: 0,
+        status: 'uploading',
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        writing: false
+    };
+
+    fs.writeFileSync(session.path, '');
+    sessions.set(id, session);
+    console.log('📥 Upload session started:', id);
+
+    res.status(201).json(toJSON(session));
+});
+
+/**
+ * GET /api/uploads/:id
+ * How much of an upload the server has (resume from `offset`)
+ */
+router.get('/:id', (req, res) => {
+    const session = findSession(req, res);
+    if (!session) return;
+
+    res.json(toJSON(session));
+});
+
+/**
+ * PUT /api/uploads/:id?offset=N
+ * Append a chunk (raw request body) starting at byte N
+ */
+router.put('/:id', express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }), (req, res) => {
+    const session = findSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'uploading') {
+        return res.status(409).json({ error: 'Upload is already finalized', ...toJSON(session) });
+    }
+
+    // One append at a time, otherwise offsets can't be trusted
+    if (session.writing) {
+        return res.status(409).json({ error: 'Another chunk is being written', ...toJSON(session) });
+    }
+
+    const offset = parseInt(req.query.offset);
+    if (offset !== session.offset) {
+        return res.status(409).json({ error: 'Offset mismatch', ...toJSON(session) });
+    }
+
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (session.offset + chunk.length > MAX_UPLOAD_SIZE) {
+        return res.status(413).json({ error: 'Recording is too large' });
+    }
+
+    session.writing = true;
+    fs.appendFile(session.path, chunk, (err) => {
+        session.writing = false;
+        if (err) {
+            console.error('Upload write error:', err);
+            return res.status(500).json({ error: 'Could not store chunk', message: err.message });
+        }
+
+        session.offset += chunk.length;
+        res.json(toJSON(session));
+    });
+});
+
+/**
+ * POST /api/uploads/:id/finalize
+ * Mark an upload as complete; `size` (if sent) must match what was received
+ */
+router.post('/:id/finalize', (req, res) => {
+    const session = findSession(req, res);
+    if (!session) return;
+
+    const size = req.body && req.body.size !== undefined ? parseInt(req.body.size) : session.offset;
+    if (size !== session.offset) {
+        return res.status(409).json({ error: 'Upload is incomplete', ...toJSON(session) });
+    }
+
+    if (session.offset === 0) {
+        return res.status(400).json({ error: 'Upload is empty' });
+    }
+
+    if (session.status !== 'complete') {
+        session.status = 'complete';
+        console.log(`📥 Upload complete: ${session.id} (${(session.offset / (1024 * 1024)).toFixed(1)} MB)`);
+    }
+
+    res.json(toJSON(session));
+});
+
+/**
+ * DELETE /api/uploads/:id
+ * Abandon an upload
+ */
+router.delete('/:id', (req, res) => {
+    const session = findSession(req, res);
+    if (!session) return;
+
+    removeSession(session);
+    res.json({ success: true });
+});
+
+// Forget abandoned and long-finished uploads
+setInterval(() => {
+    const now = Date.now();
+    sessions.forEach(session => {
+        if (now - session.updatedAt > UPLOAD_TTL) {
+            console.log('🗑️ Upload session expired:', session.id);
+            removeSession(session);
+        }
+    });
+}, SWEEP_INTERVAL).unref();
+
+module.exports = router;
+module.exports.getUploadPath = getUploadPath;
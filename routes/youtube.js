@@ -10,6 +10,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { getUploadPath } = require('./uploads');
 
 // Configure multer for video uploads
 const storage = multer.diskStorage({
@@ -52,9 +53,75 @@ function getOAuth2Client(user) {
     return oauth2Client;
 }
 
+/**
+ * Upload a video file on disk to the user's YouTube channel
+ */
+async function uploadVideo(user, filePath, { title, description, privacy, tags }) {
+    const oauth2Client = getOAuth2Client(user);
+    const youtube = google.youtube({ version: 'v3', auth: oauth2Client });
+
+    // Create video metadata
+    const videoMetadata = {
+        snippet: {
+            title: title,
+            description: description || '',
+            tags: tags ? tags.split(',').map(t => t.trim()) : [],
+            categoryId: '27' // Education category
+        },
+        status: {
+            privacyStatus: privacy || 'private', // private, unlisted, public
+            selfDeclaredMadeForKids: false
+        }
+    };
+
+    // Upload video
+    const response = await youtube.videos.insert({
+        part: 'snippet,status',
+        requestBody: videoMetadata,
+        media: {
+            body: fs.createReadStream(filePath)
+        }
+    });
+
+    const videoId = response.data.id;
+    return {
+        videoId: videoId,
+        videoUrl: `https://youtube.com/watch?v=${videoId}`,
+        title: response.data.snippet.title
+    };
+}
+
+/**
+ * Send an upload failure to the client
+ */
+function sendUploadError(res, error) {
+    console.error('❌ YouTube upload error:', error.message);
+
+    // Handle specific errors
+    if (error.code === 403) {
+        return res.status(403).json({
+            error: 'YouTube upload permission denied',
+            message: 'Please re-login to grant YouTube upload permissions'
+        });
+    }
+
+    if (error.code === 401) {
+        return res.status(401).json({
+            error: 'Authentication expired',
+            message: 'Please login again'
+        });
+    }
+
+    res.status(500).json({
+        error: 'Upload failed',
+        message: error.message
+    });
+}
+
 /**
  * POST /api/youtube/upload
- * Upload video to YouTube
+ * Upload video to YouTube (an uploaded file, `uploadId` of an upload session
+ * or `jobId` of a finished edit)
  */
 router.post('/upload', upload.single('video'), async (req, res) => {
     // Check authentication
@@ -62,86 +129,58 @@ router.post('/upload', upload.single('video'), async (req, res) => {
         return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    if (!req.file) {
+    // An uploaded file, a finished upload session or the output of a finished convert/edit job
+    let filePath = req.file ? req.file.path : null;
+    const removeUpload = () => {
+        if (req.file) fs.unlink(req.file.path, () => { });
+    };
+
+    if (!filePath && req.body.uploadId) {
+        filePath = getUploadPath(req.body.uploadId, req.user);
+        if (!filePath) {
+            return res.status(404).json({ error: 'Upload not found or not finalized' });
+        }
+    }
+
+    if (!filePath && req.body.jobId) {
+        const job = req.app.get('jobQueue').getOwned(req.body.jobId, req.user);
+        if (!job || job.status !== 'done' || !fs.existsSync(job.outputPath)) {
+            return res.status(404).json({ error: 'Edited video not found' });
+        }
+        filePath = job.outputPath;
+    }
+
+    if (!filePath) {
         return res.status(400).json({ error: 'No video file uploaded' });
     }
 
-    const { title, description, privacy, tags } = req.body;
+    const { title } = req.body;
 
     if (!title) {
-        fs.unlink(req.file.path, () => { });
+        removeUpload();
         return res.status(400).json({ error: 'Title is required' });
     }
 
     console.log('📤 Starting YouTube upload:', title);
 
     try {
-        const oauth2Client = getOAuth2Client(req.user);
-        const youtube = google.youtube({ version: 'v3', auth: oauth2Client });
-
-        // Create video metadata
-        const videoMetadata = {
-            snippet: {
-                title: title,
-                description: description || '',
-                tags: tags ? tags.split(',').map(t => t.trim()) : [],
-                categoryId: '27' // Education category
-            },
-            status: {
-                privacyStatus: privacy || 'private', // private, unlisted, public
-                selfDeclaredMadeForKids: false
-            }
-        };
-
-        // Upload video
-        const response = await youtube.videos.insert({
-            part: 'snippet,status',
-            requestBody: videoMetadata,
-            media: {
-                body: fs.createReadStream(req.file.path)
-            }
-        });
+        const result = await uploadVideo(req.user, filePath, req.body);
 
         // Clean up temp file
-        fs.unlink(req.file.path, () => { });
-
-        const videoId = response.data.id;
-        const videoUrl = `https://youtube.com/watch?v=${videoId}`;
+        removeUpload();
 
-        console.log('✅ YouTube upload complete:', videoUrl);
+        console.log('✅ YouTube upload complete:', result.videoUrl);
 
         res.json({
             success: true,
-            videoId: videoId,
-            videoUrl: videoUrl,
-            title: response.data.snippet.title
+            ...result
         });
 
     } catch (error) {
         // Clean up temp file on error
-        fs.unlink(req.file.path, () => { });
-
-        console.error('❌ YouTube upload error:', error.message);
-
-        // Handle specific errors
-        if (error.code === 403) {
-            return res.status(403).json({
-                error: 'YouTube upload permission denied',
-                message: 'Please re-login to grant YouTube upload permissions'
-            });
-        }
-
-        if (error.code === 401) {
-            return res.status(401).json({
-                error: 'Authentication expired',
-                message: 'Please login again'
-            });
-        }
+        removeUpload();
 
-        res.status(500).json({
-            error: 'Upload failed',
-            message: error.message
-        });
+        sendUploadError(res, error);
     }
 });
 
@@ -168,3 +207,5 @@ router.get('/status', (req, res) => {
 });
 
 module.exports = router;
+module.exports.uploadVideo = uploadVideo;
+module.exports.sendUploadError = sendUploadError;
@@ -7,6 +7,8 @@ const passport = require('./config/passport');
 const http = require('http');
 const { Server } = require('socket.io');
 const StreamHandler = require('./routes/stream-handler');
+const encoders = require('./config/encoders');
+const JobQueue = require('./routes/job-queue');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,16 +22,25 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3000;
 
+// Background FFmpeg jobs (conversions), progress is pushed over Socket.io
+const jobQueue = new JobQueue({
+    concurrency: parseInt(process.env.CONVERT_CONCURRENCY) || 2
+});
+jobQueue.setIo(io);
+app.set('jobQueue', jobQueue);
+
 // Middleware
 app.use(cors({
     origin: true,
     credentials: true
 }));
+// Scenes carry their image layers as data URLs (see config/scenes.js)
+app.use('/api/scenes', express.json({ limit: '16mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration
-app.use(session({
+const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET || 'dev-secret-change-in-production',
     resave: false,
     saveUninitialized: false,
@@ -38,27 +49,64 @@ app.use(session({
         httpOnly: true,
         maxAge: 24 * 60 * 60 * 1000 // 24 hours
     }
-}));
+});
+app.use(sessionMiddleware);
 
 // Initialize Passport
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Share the login session with Socket.io (socket.request.user)
+// Only the handshake request needs it, later polling requests reuse the socket
+const onlyForHandshake = (middleware) => (req, res, next) => {
+    const isHandshake = req._query.sid === undefined;
+    if (isHandshake) {
+        middleware(req, res, next);
+    } else {
+        next();
+    }
+};
+io.engine.use(onlyForHandshake(sessionMiddleware));
+io.engine.use(onlyForHandshake(passport.session()));
+
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// HLS player for the watch page
+app.use('/vendor/hls', express.static(path.join(__dirname, 'node_modules', 'hls.js', 'dist')));
+
 // Auth routes
 const authRoutes = require('./routes/auth');
 app.use('/auth', authRoutes);
 
+// Upload session routes (chunked uploads while recording)
+const uploadRoutes = require('./routes/uploads');
+app.use('/api/uploads', uploadRoutes);
+
 // Convert routes (video format conversion)
 const convertRoutes = require('./routes/convert');
 app.use('/api', convertRoutes);
 
+// Edit routes (trim, cut and concatenate recordings)
+const editRoutes = require('./routes/edit');
+app.use('/api/edit', editRoutes);
+
+// ISO routes (composite + per-source tracks in one MKV)
+const isoRoutes = require('./routes/iso');
+app.use('/api/iso', isoRoutes);
+
 // YouTube routes (video upload)
 const youtubeRoutes = require('./routes/youtube');
 app.use('/api/youtube', youtubeRoutes);
 
+// Archive routes (server-side stream recordings)
+const archiveRoutes = require('./routes/archives');
+app.use('/api/archives', archiveRoutes);
+
+// Scene routes (saved compositor layouts)
+const sceneRoutes = require('./routes/scenes');
+app.use('/api/scenes', sceneRoutes);
+
 // API: Get current user
 app.get('/api/user', (req, res) => {
     if (req.isAuthenticated && req.isAuthenticated()) {
@@ -85,6 +133,11 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Encoder capabilities of the local FFmpeg and the stream encoding profiles
+app.get('/api/encoders', (req, res) => {
+    res.json(encoders.getCapabilities());
+});
+
 // Routes
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -94,12 +147,19 @@ app.get('/', (req, res) => {
 const streamHandler = new StreamHandler(io);
 streamHandler.init();
 
+// Live routes (local HLS viewer)
+const createLiveRoutes = require('./routes/live');
+app.use(createLiveRoutes(streamHandler));
+
 // Start server with Socket.io
 server.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📺 Live Stream Teaching Platform is ready!`);
     console.log(`📡 Socket.io streaming enabled`);
 
+    // Probe FFmpeg so streams can pick a profile the build supports
+    encoders.probe();
+
     // Check for OAuth configuration
     if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
         console.log('⚠️  Warning: Google OAuth credentials not configured in .env');
@@ -0,0 +1,81 @@
+/**
+ * Conversion job routes: status and downloads are only for the job's owner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const convertRoutes = require('../routes/convert');
+const JobQueue = require('../routes/job-queue');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamteach-test-convert-'));
+const jobQueue = new JobQueue({ concurrency: 0 });
+let server;
+let baseUrl;
+
+test.before(async () => {
+    test.mock.method(console, 'log', () => { });
+
+    const app = express();
+    // Stand-in for passport: the user comes from a header
+    app.use((req, res, next) => {
+        const id = req.get('x-test-user');
+        req.user = id ? { id } : undefined;
+        next();
+    });
+    app.set('jobQueue', jobQueue);
+    app.use('/api', convertRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/convert/jobs`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// A finished job (convert, or an edit sharing these routes) of `ownerId`
+function addFinishedJob(type, ownerId) {
+    const job = jobQueue.add({ type, ownerId, run: async () => ({}) });
+    job.status = 'done';
+    job.outputPath = path.join(workDir, `${job.id}.mp4`);
+    job.filename = 'recording.mp4';
+    fs.writeFileSync(job.outputPath, 'mp4');
+    return job;
+}
+
+function get(url, user) {
+    return fetch(`${baseUrl}${url}`, { headers: user ? { 'x-test-user': user } : {} });
+}
+
+test("another user's job status and download are not found", async () => {
+    for (const type of ['convert', 'edit']) {
+        const job = addFinishedJob(type, 'alice');
+
+        assert.strictEqual((await get(`/${job.id}`, 'bob')).status, 404);
+        assert.strictEqual((await get(`/${job.id}/download`, 'bob')).status, 404);
+        assert.strictEqual((await get(`/${job.id}`)).status, 404);
+        assert.strictEqual((await get(`/${job.id}/download`)).status, 404);
+
+        const status = await get(`/${job.id}`, 'alice');
+        assert.strictEqual(status.status, 200);
+        assert.strictEqual((await status.json()).status, 'done');
+
+        const download = await get(`/${job.id}/download`, 'alice');
+        assert.strictEqual(download.status, 200);
+        assert.strictEqual(await download.text(), 'mp4');
+    }
+});
+
+test('jobs queued without signing in are not visible to signed-in users', async () => {
+    const job = addFinishedJob('convert', null);
+
+    assert.strictEqual((await get(`/${job.id}`, 'bob')).status, 404);
+    assert.strictEqual((await get(`/${job.id}`)).status, 200);
+});
@@ -0,0 +1,49 @@
+/**
+ * Edit route: upload errors come back as JSON
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const editRoutes = require('../routes/edit');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    const app = express();
+    app.set('jobQueue', { add: () => assert.fail('no job should be queued') });
+    app.use('/api/edit', editRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/edit`;
+});
+
+test.after(() => server.close());
+
+test('more sources than the edit route takes are a 400 with a JSON body', async () => {
+    const formData = new FormData();
+    for (let i = 0; i < 11; i++) {
+        formData.append('videos', new Blob([Buffer.from('webm')], { type: 'video/webm' }), `replay-${i}.webm`);
+    }
+    formData.append('edl', JSON.stringify({}));
+
+    const response = await fetch(baseUrl, { method: 'POST', body: formData });
+    assert.strictEqual(response.status, 400);
+    assert.match(response.headers.get('content-type'), /application\/json/);
+
+    const result = await response.json();
+    assert.strictEqual(result.error, 'Too many files');
+    assert.match(result.message, /"videos"/);
+});
+
+test('files of the wrong type are a 400 with a JSON body', async () => {
+    const formData = new FormData();
+    formData.append('videos', new Blob(['hello'], { type: 'text/plain' }), 'notes.txt');
+
+    const response = await fetch(baseUrl, { method: 'POST', body: formData });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'Upload rejected', message: 'Only video files are allowed' });
+});
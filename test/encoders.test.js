@@ -0,0 +1,22 @@
+/**
+ * Encoder profile lookup
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const encoders = require('../config/encoders');
+
+test('only real profiles are used', () => {
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(id => {
+        assert.strictEqual(encoders.resolveProfile(id).id, encoders.FALLBACK_PROFILE);
+    });
+    assert.strictEqual(encoders.resolveProfile({}).fallbackFrom, null);
+    assert.strictEqual(encoders.resolveProfile('nvenc').profile, encoders.PROFILES.nvenc);
+});
+
+test('unknown profiles fall back to libx264', () => {
+    const resolved = encoders.resolveProfile('constructor');
+    assert.strictEqual(resolved.id, 'low-cpu');
+    assert.strictEqual(resolved.fallbackFrom, 'constructor');
+    assert.strictEqual(typeof resolved.profile.videoArgs, 'function');
+});
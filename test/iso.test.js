@@ -0,0 +1,33 @@
+/**
+ * ISO packaging: the FFmpeg arguments built for a composite and its tracks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLayout, buildPackageCommand } = require('../routes/iso');
+
+test('stream titles with spaces stay a single argument', () => {
+    const layout = parseLayout(JSON.stringify({
+        tracks: [
+            { source: 'screen', label: 'Screen capture', offset: 0.1 },
+            { source: 'system', label: 'System audio', offset: -0.05 }
+        ]
+    }), 2);
+    const inputs = [{ video: true, audio: true }, { video: true, audio: false }, { video: false, audio: true }];
+
+    const args = buildPackageCommand('composite.webm', ['screen.webm', 'system.webm'], inputs, layout)._getArguments();
+
+    assert.deepStrictEqual(args.slice(args.indexOf('-map')), [
+        '-map', '0:v:0', '-metadata:s:0', 'title=Program',
+        '-map', '0:a:0', '-metadata:s:1', 'title=Program audio',
+        '-map', '1:v:0', '-metadata:s:2', 'title=Screen capture',
+        '-map', '2:a:0', '-metadata:s:3', 'title=System audio',
+        '-c', 'copy'
+    ]);
+    assert.deepStrictEqual(args.slice(args.indexOf('-itsoffset'), args.indexOf('-itsoffset') + 4), ['-itsoffset', '0.1', '-i', 'screen.webm']);
+});
+
+test('a layout must describe every uploaded track', () => {
+    assert.throws(() => parseLayout({ tracks: [{ label: 'Webcam' }] }, 2), /describes 1 track/);
+    assert.throws(() => parseLayout({ tracks: [{ label: 'Webcam', offset: 90 }] }, 1), /offset by 90s/);
+});
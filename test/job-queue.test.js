@@ -0,0 +1,38 @@
+/**
+ * JobQueue: progress only reaches a socket signed in as the job's owner
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const JobQueue = require('../routes/job-queue');
+
+function createIo(sockets) {
+    const sent = [];
+    return {
+        sent,
+        sockets: { sockets: new Map(Object.entries(sockets)) },
+        to: (id) => ({ emit: (event, data) => sent.push({ id, event, data }) })
+    };
+}
+
+test('a socket ID from the request must belong to the job owner', () => {
+    test.mock.method(console, 'log', () => { });
+
+    const io = createIo({
+        'alice-socket': { request: { user: { id: 'alice' } } },
+        'anon-socket': { request: {} }
+    });
+    const jobQueue = new JobQueue({ concurrency: 0 });
+    jobQueue.setIo(io);
+
+    const add = (socketId, ownerId) => jobQueue.add({ type: 'convert', socketId, ownerId, run: async () => ({}) });
+
+    assert.strictEqual(add('alice-socket', 'alice').socketId, 'alice-socket');
+    assert.strictEqual(add('alice-socket', 'bob').socketId, null);
+    assert.strictEqual(add('alice-socket', null).socketId, null);
+    assert.strictEqual(add('anon-socket', 'bob').socketId, null);
+    assert.strictEqual(add('gone-socket', 'alice').socketId, null);
+
+    assert.ok(io.sent.every(message => message.id === 'alice-socket'));
+});
@@ -0,0 +1,36 @@
+/**
+ * Scene validation: layers that can't be drawn are dropped, not the whole save
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const scenes = require('../config/scenes');
+
+test('invalid layers are dropped and the rest of the scene is kept', () => {
+    const result = scenes.sanitizeScenes({
+        scenes: [{
+            id: 'main',
+            name: 'Main',
+            layers: [
+                { id: 'cam', type: 'webcam', x: 0, y: 0, width: 1, height: 1 },
+                { id: 'proto', type: 'constructor' },
+                { id: 'inherited', type: 'toString' },
+                { id: 'no-image', type: 'image', src: 'data:text/html;base64,PGgxPg==' },
+                { type: 'text', text: 'no id' },
+                null,
+                { id: 'title', type: 'text', text: 'Welcome' }
+            ]
+        }],
+        activeSceneId: 'main'
+    });
+
+    assert.deepStrictEqual(result.scenes[0].layers.map(layer => layer.id), ['cam', 'title']);
+    assert.strictEqual(result.droppedLayers, 5);
+    assert.strictEqual(result.activeSceneId, 'main');
+});
+
+test('scene lists that are not usable at all are still rejected', () => {
+    assert.throws(() => scenes.sanitizeScenes({ scenes: [] }), /At least one scene/);
+    assert.throws(() => scenes.sanitizeScenes({ scenes: [{ name: 'No id' }] }), /needs an id/);
+});
@@ -0,0 +1,100 @@
+/**
+ * StreamClient (browser script) reacting to server backpressure, with a fake
+ * Socket.io client and MediaRecorder
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'js', 'stream-client.js'), 'utf8');
+
+function loadClient() {
+    const handlers = {};
+    const sent = [];
+    const recorders = [];
+
+    class FakeMediaRecorder {
+        constructor(stream, options) {
+            this.options = options;
+            this.state = 'inactive';
+            recorders.push(this);
+        }
+        static isTypeSupported() { return true; }
+        start() { this.state = 'recording'; }
+        pause() { this.state = 'paused'; }
+        resume() { this.state = 'recording'; }
+        stop() { this.state = 'inactive'; }
+    }
+
+    const socket = {
+        connected: true,
+        on: (event, handler) => { handlers[event] = handler; },
+        off: () => { },
+        emit: (event, data) => sent.push({ event, data })
+    };
+
+    const context = vm.createContext({
+        console: { log: () => { }, warn: () => { }, error: () => { } },
+        io: () => socket,
+        MediaRecorder: FakeMediaRecorder,
+        MediaStream: class { },
+        setTimeout,
+        clearTimeout
+    });
+    vm.runInContext(`${source}\nthis.client = streamClient;`, context);
+
+    const client = context.client;
+    client.init();
+    return { client, handlers, sent, recorders };
+}
+
+async function startStream(client, config = {}) {
+    const started = await client.start({ getVideoTracks: () => [] }, null, {
+        destinations: [{ url: 'rtmp://live.example.com/app', streamKey: 'key' }],
+        bitrate: 4000,
+        ...config
+    });
+    assert.strictEqual(started, true);
+}
+
+test('the archive title and format are sent with start-stream', async () => {
+    const { client, sent } = loadClient();
+    await startStream(client, { archive: true, archiveFormat: 'mp4', title: 'Week 3' });
+
+    const start = sent.find(message => message.event === 'start-stream');
+    assert.strictEqual(start.data.archive, true);
+    assert.strictEqual(start.data.archiveFormat, 'mp4');
+    assert.strictEqual(start.data.title, 'Week 3');
+    client.stop();
+});
+
+test('backpressure pauses the recorder until the server catches up', async () => {
+    const { client, handlers, recorders } = loadClient();
+    await startStream(client);
+    assert.strictEqual(recorders.length, 1);
+
+    handlers['stream-backpressure']({ level: 'high', occupancy: 30 });
+    assert.strictEqual(recorders[0].state, 'paused');
+    assert.strictEqual(client.recorderBitrate, 2800);
+
+    handlers['stream-backpressure']({ level: 'normal', occupancy: 5 });
+    assert.strictEqual(recorders[0].state, 'recording');
+
+    // Same recorder throughout: no new WebM header reaches the server
+    assert.strictEqual(recorders.length, 1);
+    client.stop();
+});
+
+test('stopping while paused for backpressure leaves nothing running', async () => {
+    const { client, handlers, recorders } = loadClient();
+    await startStream(client);
+
+    handlers['stream-backpressure']({ level: 'high', occupancy: 30 });
+    client.stop();
+
+    assert.strictEqual(recorders[0].state, 'inactive');
+    assert.strictEqual(client.backpressureTimer, null);
+});
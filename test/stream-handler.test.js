@@ -0,0 +1,165 @@
+/**
+ * StreamHandler socket events, driven with fake sockets (no FFmpeg is spawned)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.ARCHIVE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'streamteach-test-archives-'));
+process.env.STREAM_QUEUE_LIMIT_MB = '1';
+const StreamHandler = require('../routes/stream-handler');
+
+test.after(() => fs.rmSync(process.env.ARCHIVE_DIR, { recursive: true, force: true }));
+
+function createSocket(user = { id: 'u1', name: 'Test User' }) {
+    const emitted = [];
+    return {
+        id: 'socket-1',
+        data: {},
+        request: { user },
+        emitted,
+        emit: (event, data) => emitted.push({ event, data })
+    };
+}
+
+// A registered stream whose queue can be inspected, without an encoder
+function attachStream(handler, socket) {
+    const streamInfo = {
+        id: 'stream-1',
+        socket,
+        ffmpeg: null,
+        bytesReceived: 0,
+        initSegment: null,
+        queue: [],
+        queueBytes: 0,
+        droppedChunks: 0,
+        backpressure: false
+    };
+    handler.streams.set(streamInfo.id, streamInfo);
+    socket.data.streamId = streamInfo.id;
+    return streamInfo;
+}
+
+test('stream-data without a binary payload is ignored', () => {
+    const handler = new StreamHandler(null);
+    const socket = createSocket();
+    const streamInfo = attachStream(handler, socket);
+
+    [undefined, null, 42, 'text', { length: 3 }].forEach(data => {
+        assert.doesNotThrow(() => handler._handleData(socket, data));
+    });
+    assert.strictEqual(streamInfo.bytesReceived, 0);
+
+    handler._handleData(socket, new Uint8Array([1, 2, 3, 4]).subarray(1));
+    handler._handleData(socket, new ArrayBuffer(5));
+    assert.strictEqual(streamInfo.bytesReceived, 8);
+    assert.deepStrictEqual([...streamInfo.queue[0]], [2, 3, 4]);
+});
+
+test('start-stream without a payload is rejected', () => {
+    const handler = new StreamHandler(null);
+    const socket = createSocket();
+
+    [undefined, null, 'rtmp://example.com'].forEach(config => {
+        socket.emitted.length = 0;
+        assert.doesNotThrow(() => handler._startStream(socket, config));
+        assert.deepStrictEqual(socket.emitted, [{ event: 'stream-error', data: { message: 'Ingest URL is required' } }]);
+    });
+    assert.strictEqual(handler.streams.size, 0);
+});
+
+test('a stream that fails to start is cleaned up', () => {
+    const handler = new StreamHandler(null);
+    const socket = createSocket();
+    handler._spawnEncoder = () => {
+        throw new Error('spawn failed');
+    };
+
+    handler._startStream(socket, { destinations: [{ url: 'rtmp://live.example.com/app', streamKey: 'key' }] });
+
+    assert.strictEqual(handler.streams.size, 0);
+    assert.strictEqual(socket.emitted[0].event, 'stream-error');
+    assert.match(socket.emitted[0].data.message, /spawn failed/);
+});
+
+test('a full queue drops whole clusters and keeps the header', () => {
+    const handler = new StreamHandler(null);
+    const socket = createSocket();
+    const streamInfo = attachStream(handler, socket);
+
+    const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+    const CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+    const CLUSTER_SIZE = 200 * 1024;
+
+    handler._handleData(socket, Buffer.concat([EBML_MAGIC, Buffer.alloc(60), CLUSTER_ID, Buffer.alloc(100)]));
+
+    // Each cluster arrives in two chunks that don't line up with it
+    for (let i = 0; i < 10; i++) {
+        const cluster = Buffer.concat([CLUSTER_ID, Buffer.alloc(CLUSTER_SIZE - CLUSTER_ID.length, i + 1)]);
+        handler._handleData(socket, cluster.subarray(0, 1000));
+        handler._handleData(socket, cluster.subarray(1000));
+    }
+
+    assert.ok(streamInfo.droppedChunks > 0);
+    assert.ok(streamInfo.queueBytes <= 1024 * 1024);
+    assert.strictEqual(streamInfo.queueBytes, streamInfo.queue.reduce((sum, part) => sum + part.length, 0));
+
+    const queued = Buffer.concat(streamInfo.queue);
+    assert.ok(queued.subarray(0, 4).equals(EBML_MAGIC));
+
+    // Everything after the header is a run of complete clusters, newest last
+    const clusters = queued.subarray(64);
+    assert.strictEqual(clusters.length % CLUSTER_SIZE, 0);
+    for (let offset = 0; offset < clusters.length; offset += CLUSTER_SIZE) {
+        assert.ok(clusters.subarray(offset, offset + 4).equals(CLUSTER_ID));
+    }
+    assert.strictEqual(clusters[clusters.length - 1], 10);
+});
+
+test('starting an unknown destination is not a stream error', () => {
+    const handler = new StreamHandler(null);
+    const socket = createSocket();
+    const streamInfo = attachStream(handler, socket);
+    streamInfo.destinations = new Map();
+
+    handler._startDestination(streamInfo, 'missing');
+
+    assert.deepStrictEqual(socket.emitted, [
+        { event: 'destination-error', data: { id: 'missing', message: 'Unknown destination: missing' } }
+    ]);
+    assert.strictEqual(handler.streams.size, 1);
+});
+
+test('archive title and format come from start-stream', () => {
+    const handler = new StreamHandler(null);
+    const socket = createSocket();
+    handler._spawnEncoder = () => { };
+    handler._startDestination = () => { };
+
+    handler._startStream(socket, { archive: true, archiveFormat: 'mp4', title: '  Week 3: Recursion  ' });
+    const streamInfo = [...handler.streams.values()][0];
+    assert.strictEqual(streamInfo.archive.format, 'mp4');
+    assert.strictEqual(streamInfo.archive.title, 'Week 3: Recursion');
+    handler._stopStream(streamInfo);
+
+    handler._startStream(socket, { archive: true, archiveFormat: 'constructor', title: 42 });
+    const fallback = [...handler.streams.values()][0];
+    assert.strictEqual(fallback.archive.format, 'mkv');
+    assert.match(fallback.archive.title, /^Live stream /);
+    handler._stopStream(fallback);
+});
+
+test('the encoder thread limit comes from the profile only', () => {
+    const handler = new StreamHandler(null);
+    test.mock.method(console, 'log', () => { });
+    const build = (profile) => handler._buildFFmpegArgs({ width: 1280, height: 720, fps: 30, bitrate: 2500, profile });
+
+    const lowCpu = build('low-cpu');
+    assert.strictEqual(lowCpu.filter(arg => arg === '-threads').length, 1);
+    assert.strictEqual(lowCpu[lowCpu.indexOf('-threads') + 1], '4');
+
+    assert.strictEqual(build('balanced').includes('-threads'), false);
+});
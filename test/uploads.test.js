@@ -0,0 +1,84 @@
+/**
+ * Upload session routes: sign-in, ownership and the open-session cap
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const uploadRoutes = require('../routes/uploads');
+const { getUploadPath } = uploadRoutes;
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    // Keep the session logs out of the test runner's output
+    test.mock.method(console, 'log', () => { });
+
+    const app = express();
+    // Stand-in for passport: the user comes from a header
+    app.use((req, res, next) => {
+        const id = req.get('x-test-user');
+        req.user = id ? { id } : undefined;
+        req.isAuthenticated = () => Boolean(req.user);
+        next();
+    });
+    app.use('/api/uploads', uploadRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/uploads`;
+});
+
+test.after(() => server.close());
+
+function request(method, url, user, body) {
+    const headers = user ? { 'x-test-user': user } : {};
+    if (body) headers['content-type'] = 'application/octet-stream';
+    return fetch(`${baseUrl}${url}`, { method, headers, body });
+}
+
+test('upload sessions require a signed-in user', async () => {
+    const response = await request('POST', '/');
+    assert.strictEqual(response.status, 401);
+});
+
+test('only the owner can see, append to, finalize, delete or consume a session', async () => {
+    const created = await (await request('POST', '/', 'alice')).json();
+
+    assert.strictEqual((await request('GET', `/${created.uploadId}`, 'bob')).status, 404);
+    assert.strictEqual((await request('PUT', `/${created.uploadId}?offset=0`, 'bob', Buffer.from('data'))).status, 404);
+    assert.strictEqual((await request('POST', `/${created.uploadId}/finalize`, 'bob')).status, 404);
+    assert.strictEqual((await request('DELETE', `/${created.uploadId}`, 'bob')).status, 404);
+
+    assert.strictEqual((await request('PUT', `/${created.uploadId}?offset=0`, 'alice', Buffer.from('data'))).status, 200);
+    assert.strictEqual((await request('POST', `/${created.uploadId}/finalize`, 'alice')).status, 200);
+
+    assert.strictEqual(getUploadPath(created.uploadId, { id: 'bob' }), null);
+    assert.strictEqual(getUploadPath(created.uploadId, undefined), null);
+    assert.ok(getUploadPath(created.uploadId, { id: 'alice' }));
+
+    assert.strictEqual((await request('DELETE', `/${created.uploadId}`, 'alice')).status, 200);
+    assert.strictEqual(getUploadPath(created.uploadId, { id: 'alice' }), null);
+});
+
+test('open sessions are capped per user', async () => {
+    const ids = [];
+    let response;
+    while ((response = await request('POST', '/', 'carol')).status === 201) {
+        ids.push((await response.json()).uploadId);
+        assert.ok(ids.length <= 100, 'no cap was applied');
+    }
+
+    assert.strictEqual(response.status, 429);
+
+    const other = await request('POST', '/', 'dave');
+    assert.strictEqual(other.status, 201);
+    await request('DELETE', `/${(await other.json()).uploadId}`, 'dave');
+
+    await Promise.all(ids.map(id => request('DELETE', `/${id}`, 'carol')));
+    const again = await request('POST', '/', 'carol');
+    assert.strictEqual(again.status, 201);
+    await request('DELETE', `/${(await again.json()).uploadId}`, 'carol');
+});
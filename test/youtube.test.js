@@ -0,0 +1,77 @@
+/**
+ * YouTube upload route: only the owner can publish a finished job
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const youtubeRoutes = require('../routes/youtube');
+const JobQueue = require('../routes/job-queue');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamteach-test-youtube-'));
+const jobQueue = new JobQueue({ concurrency: 0 });
+let server;
+let baseUrl;
+
+test.before(async () => {
+    test.mock.method(console, 'log', () => { });
+
+    const app = express();
+    app.use(express.json());
+    // Stand-in for passport: the user comes from a header
+    app.use((req, res, next) => {
+        const id = req.get('x-test-user');
+        req.user = id ? { id } : undefined;
+        req.isAuthenticated = () => Boolean(req.user);
+        next();
+    });
+    app.set('jobQueue', jobQueue);
+    app.use('/api/youtube', youtubeRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/youtube`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// A finished edit job of `ownerId`
+function addFinishedJob(ownerId) {
+    const job = jobQueue.add({ type: 'edit', ownerId, run: async () => ({}) });
+    job.status = 'done';
+    job.outputPath = path.join(workDir, `${job.id}.webm`);
+    fs.writeFileSync(job.outputPath, 'webm');
+    return job;
+}
+
+function publish(user, body) {
+    return fetch(`${baseUrl}/upload`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-test-user': user },
+        body: JSON.stringify(body)
+    });
+}
+
+test("another user's job can't be published", async () => {
+    const job = addFinishedJob('alice');
+
+    const response = await publish('bob', { jobId: job.id, title: 'Lecture' });
+    assert.strictEqual(response.status, 404);
+    assert.deepStrictEqual(await response.json(), { error: 'Edited video not found' });
+});
+
+test("the owner's job is accepted", async () => {
+    const job = addFinishedJob('alice');
+
+    // Stops at the title check, past the job lookup and before YouTube is contacted
+    const response = await publish('alice', { jobId: job.id });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'Title is required' });
+});